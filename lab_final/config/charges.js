@@ -0,0 +1,37 @@
+// Taxes and service fees added at checkout, keyed by the value of the checkout "country" select.
+// Edit this table to change rates; the checkout page, the live summary and POST /api/orders all read it.
+//
+// Each charge is { code, label, kind, ...amount } where kind is 'fee' or 'tax' and the amount is one of:
+//   rate        - fraction of the base (subtotal for fees, subtotal + fees for taxes)
+//   amount      - flat amount per order
+//   perTraveler - flat amount per traveler (seat) on the order
+
+const serviceFee = { code: 'service_fee', label: 'Service fee', kind: 'fee', perTraveler: 5 };
+
+module.exports = {
+  // Applied until the customer picks a country (taxes are shown once it is known)
+  defaultCharges: [serviceFee],
+
+  countries: {
+    USA: {
+      name: 'United States',
+      charges: [serviceFee, { code: 'sales_tax', label: 'Sales tax', kind: 'tax', rate: 0.0875 }]
+    },
+    Canada: {
+      name: 'Canada',
+      charges: [serviceFee, { code: 'gst', label: 'GST', kind: 'tax', rate: 0.05 }]
+    },
+    UK: {
+      name: 'United Kingdom',
+      charges: [serviceFee, { code: 'vat', label: 'VAT', kind: 'tax', rate: 0.2 }]
+    },
+    Australia: {
+      name: 'Australia',
+      charges: [
+        serviceFee,
+        { code: 'booking_levy', label: 'Booking levy', kind: 'fee', amount: 2.5 },
+        { code: 'gst', label: 'GST', kind: 'tax', rate: 0.1 }
+      ]
+    }
+  }
+};
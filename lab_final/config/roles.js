@@ -0,0 +1,23 @@
+// Admin staff roles and what each may do. Every admin route names the permission it
+// needs (requirePermission in middleware/auth.js); the admin header and action buttons
+// are shown or hidden with the same permissions.
+//
+// Permissions:
+//   catalog:read / catalog:write - products, departures, categories and coupons
+//   orders:read / orders:write   - order list and detail / status changes, cancel and refund
+//   staff:manage                 - admin accounts and their roles
+//   audit:read                   - the audit log of admin changes and its CSV export
+//   catalog:seed                 - replace the catalog with sample data (not in production)
+
+const PERMISSIONS = ['catalog:read', 'catalog:write', 'orders:read', 'orders:write', 'staff:manage', 'audit:read', 'catalog:seed'];
+
+module.exports = {
+  PERMISSIONS,
+
+  roles: {
+    owner: { label: 'Owner', permissions: PERMISSIONS },
+    catalog_editor: { label: 'Catalog editor', permissions: ['catalog:read', 'catalog:write'] },
+    order_manager: { label: 'Order manager', permissions: ['orders:read', 'orders:write', 'catalog:read'] },
+    analyst: { label: 'Read-only analyst', permissions: ['catalog:read', 'orders:read', 'audit:read'] }
+  }
+};
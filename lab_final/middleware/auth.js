@@ -1,9 +1,12 @@
-// Reusable middleware: checkCartNotEmpty and adminOnly
+// Reusable middleware: checkCartNotEmpty, adminOnly and customerOnly
+
+const AdminUser = require('../models/AdminUser');
+const { roles } = require('../config/roles');
 
 function checkCartNotEmpty(req, res, next) {
   try {
-    // Accept cart from request body (items) or from session (req.session.cart)
-    const items = (req.body && req.body.items) || (req.session && req.session.cart);
+    // The session cart is authoritative - a client-sent items array does not count
+    const items = req.session && req.session.cart;
     if (!items || !Array.isArray(items) || items.length === 0) {
       // For HTML requests, redirect to a friendly cart-empty page
       if (req.accepts && req.accepts('html')) {
@@ -31,10 +34,12 @@ function checkCartNotEmpty(req, res, next) {
  * 4. Security - Harder to forget protection on new routes
  * 5. Testability - Test auth logic once, not in every route
  * 
- * AUTHENTICATION METHODS SUPPORTED:
- * 1. Session-based (req.session.userEmail) - Persistent across requests
- * 2. Header-based (x-user-email) - For API clients and testing
- * 3. Query parameter (email=admin@shop.com) - For quick testing/debugging
+ * AUTHENTICATION:
+ * 1. Session (req.session.adminId) - set by POST /admin/login once the password was
+ *    checked. The account is loaded on every request, so deactivating an admin takes
+ *    effect straight away; routes find it in req.admin.
+ * 2. Test mode only (ADMIN_AUTH_TEST_MODE=1, ignored when NODE_ENV=production) - the
+ *    x-user-email header or ?email= naming an active admin, for scripts and API tests.
  * 
  * RESPONSE HANDLING:
  * - HTML requests: Redirect to login page (user-friendly)
@@ -45,21 +50,30 @@ function checkCartNotEmpty(req, res, next) {
  * @param {Function} next - Express next middleware function
  * @returns {void} - Calls next() if authorized, sends response if not
  */
-function adminOnly(req, res, next) {
-  // CONFIGURATION: Admin email (in production, this would be from environment)
-  const adminEmail = 'admin@shop.com';
-  
-  // MULTI-METHOD AUTHENTICATION CHECK
-  // Check session first (most secure, persistent)
-  const fromSession = req.session && req.session.userEmail;
-  // Check custom header (useful for API clients)
-  const fromHeader = req.headers['x-user-email'];
-  // Check query parameter (convenient for testing, less secure)
-  const fromQuery = req.query && req.query.email;
+async function adminOnly(req, res, next) {
+  let admin = null;
+  try {
+    if (req.session && req.session.adminId) {
+      admin = await AdminUser.findById(req.session.adminId).lean();
+      if (!admin || !admin.active) {
+        delete req.session.adminId; // account removed or deactivated since login
+        admin = null;
+      }
+    } else if (isAuthTestMode()) {
+      const email = req.headers['x-user-email'] || (req.query && req.query.email);
+      if (email) admin = await AdminUser.findOne({ email: String(email).toLowerCase(), active: true }).lean();
+    }
+  } catch (err) {
+    console.error('Admin auth error', err);
+    return res.status(500).send('Server error');
+  }
 
-  // AUTHORIZATION LOGIC
-  // If any method provides the correct admin email, grant access
-  if (fromSession === adminEmail || fromHeader === adminEmail || fromQuery === adminEmail) {
+  if (admin) {
+    req.admin = admin;
+    // Admin header and views show navigation and actions by role
+    res.locals.currentAdmin = admin;
+    res.locals.currentAdminRole = roles[admin.role] ? roles[admin.role].label : admin.role;
+    res.locals.can = permission => AdminUser.hasPermission(admin, permission);
     // MIDDLEWARE PATTERN: Call next() to continue to the actual route handler
     return next();
   }
@@ -78,4 +92,47 @@ function adminOnly(req, res, next) {
   return res.status(403).json({ error: 'Forbidden - admin only' });
 }
 
-module.exports = { checkCartNotEmpty, adminOnly };
+/**
+ * PERMISSION MIDDLEWARE
+ * 
+ * Goes after adminOnly on every admin route and names what the route needs, e.g.
+ *   app.post('/admin/products/:id/delete', adminOnly, requirePermission('catalog:write'), ...)
+ * Roles and their permissions are in config/roles.js.
+ * - HTML requests: 403 page
+ * - API requests: 403 JSON
+ * 
+ * @param {string} permission
+ * @returns {Function} Express middleware
+ */
+function requirePermission(permission) {
+  return function (req, res, next) {
+    if (AdminUser.hasPermission(req.admin, permission)) return next();
+    if (req.accepts && req.accepts('html')) {
+      return res.status(403).render('admin/forbidden', { permission });
+    }
+    return res.status(403).json({ error: `Forbidden - needs ${permission}` });
+  };
+}
+
+// Header/query admin auth for tests; must be switched on explicitly and never in production
+function isAuthTestMode() {
+  return process.env.ADMIN_AUTH_TEST_MODE === '1' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * CUSTOMER-ONLY MIDDLEWARE
+ * 
+ * For the storefront account pages. A logged-in customer has customerId in the session
+ * (set by POST /account/login or registration).
+ * - HTML requests: redirect to the login page, coming back here afterwards
+ * - API requests: 401 JSON
+ */
+function customerOnly(req, res, next) {
+  if (req.session && req.session.customerId) return next();
+  if (req.accepts && req.accepts('html')) {
+    return res.redirect(`/account/login?next=${encodeURIComponent(req.originalUrl)}`);
+  }
+  return res.status(401).json({ error: 'Please log in' });
+}
+
+module.exports = { checkCartNotEmpty, adminOnly, requirePermission, customerOnly, isAuthTestMode };
@@ -0,0 +1,51 @@
+// CSRF protection for every state-changing request (forms and the JSON cart/order API)
+
+const crypto = require('crypto');
+const { newToken } = require('../utils/tokens');
+
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function tokensEqual(sent, expected) {
+  if (typeof sent !== 'string' || !expected) return false;
+  const a = Buffer.from(sent);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * CSRF TOKENS
+ * 
+ * A session cookie alone does not show that a POST came from one of our pages - another
+ * site can make the browser send it. Every session gets a random token that only our
+ * pages know:
+ * - views: res.locals.csrfToken; forms include partials/csrf_field (a hidden _csrf
+ *   input), scripts read the csrf-token meta tag in the storefront header
+ * - POST / PUT / PATCH / DELETE: the token must come back in the _csrf field or the
+ *   X-CSRF-Token header, otherwise 403 (error page for browser forms, JSON for the API)
+ * The token lives as long as the session; logging in starts a new session and so a
+ * new token.
+ * 
+ * @param {Object} [options] - { exempt: path prefixes that are checked otherwise
+ *   (signed payment webhooks) }
+ * @returns {Function} Express middleware, mounted after the session middleware
+ */
+function csrfProtection({ exempt = [] } = {}) {
+  return function (req, res, next) {
+    if (!req.session.csrfToken) req.session.csrfToken = newToken();
+    res.locals.csrfToken = req.session.csrfToken;
+
+    if (SAFE_METHODS.includes(req.method) || exempt.some(prefix => req.path.startsWith(prefix))) {
+      return next();
+    }
+    const sent = req.get('X-CSRF-Token') || (req.body && req.body._csrf);
+    if (tokensEqual(sent, req.session.csrfToken)) return next();
+
+    // Browser form posts ask for HTML; fetch() calls accept anything and get JSON
+    if (req.accepts(['json', 'html']) === 'html') {
+      return res.status(403).render('csrf_error');
+    }
+    return res.status(403).json({ error: 'Invalid or missing CSRF token - reload the page and try again' });
+  };
+}
+
+module.exports = { csrfProtection };
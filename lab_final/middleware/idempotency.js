@@ -0,0 +1,118 @@
+// Idempotency-Key support for endpoints that must not run twice (order placement)
+
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// A request still marked as processing after this long is taken to have died with the server
+const LOCK_TIMEOUT_MS = 60 * 1000;
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,128}$/;
+
+// Never part of the fingerprint: the stored hash must not be derived from card data
+const UNFINGERPRINTED_FIELDS = ['cardName', 'cardNumber', 'cardExpiry', 'cardCVV'];
+
+function fingerprint(req) {
+  const body = Object.assign({}, req.body);
+  UNFINGERPRINTED_FIELDS.forEach(field => { delete body[field]; });
+  // Sorted keys, so the same fields sent in another order are the same request
+  const canonical = JSON.stringify(body, Object.keys(body).sort());
+  return crypto.createHash('sha256').update(`${req.sessionID}\n${canonical}`).digest('hex');
+}
+
+/**
+ * IDEMPOTENT REQUESTS
+ * 
+ * Lets a client safely retry a request (double-click, network error) by sending the same
+ * Idempotency-Key header:
+ * - first request with a key: processed normally; the JSON response is stored with the key
+ * - repeat with the same session and body: the stored response is sent again
+ *   (Idempotent-Replayed: true) and the route does not run
+ * - repeat while the first one is still running: 409, try again shortly
+ * - same key with a different body or from another session: 422
+ * Requests without the header are processed as before. Server errors (5xx) and non-JSON
+ * responses are not stored, so the key can be retried after them.
+ * 
+ * @param {string} scope - Name of the endpoint, keys are unique per scope
+ * @param {Object} [options]
+ * @param {string[]} [options.redact] - Response fields that are never stored (secrets), so
+ *   they are missing from a replayed response
+ * @param {Function} [options.onReplay] - Called with (req, body) before a stored response is
+ *   sent again
+ * @returns {Function} Express middleware
+ */
+function idempotentRequest(scope, options = {}) {
+  const redact = options.redact || [];
+  return async function (req, res, next) {
+    const key = req.get('Idempotency-Key');
+    if (key === undefined) return next();
+    if (!KEY_PATTERN.test(key)) {
+      return res.status(400).json({ error: 'Idempotency-Key must be 8-128 letters, digits, dashes or underscores' });
+    }
+
+    const hash = fingerprint(req);
+    let record;
+    try {
+      record = await claimKey(scope, key, hash);
+    } catch (err) {
+      console.error('Idempotency key error', err);
+      return res.status(500).json({ error: 'Could not process request' });
+    }
+
+    if (record.fingerprint !== hash) {
+      return res.status(422).json({ error: 'This Idempotency-Key was already used for a different request' });
+    }
+    if (record.status === 'completed') {
+      if (options.onReplay) options.onReplay(req, record.responseBody);
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.responseStatus).json(record.responseBody);
+    }
+    if (!record.claimed) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is still being processed' });
+    }
+
+    // Store the route's JSON answer; anything else gives the key back
+    let stored = false;
+    const json = res.json.bind(res);
+    res.json = function (body) {
+      if (res.statusCode < 500) {
+        stored = true;
+        const responseBody = Object.assign({}, body);
+        redact.forEach(field => { delete responseBody[field]; });
+        IdempotencyKey.updateOne(
+          { _id: record._id },
+          { status: 'completed', responseStatus: res.statusCode, responseBody }
+        ).catch(err => console.error('Idempotency key save error', err));
+      }
+      return json(body);
+    };
+    res.on('finish', () => {
+      if (!stored) {
+        IdempotencyKey.deleteOne({ _id: record._id, status: 'processing' })
+          .catch(err => console.error('Idempotency key release error', err));
+      }
+    });
+    next();
+  };
+}
+
+// Create the key, or take over one whose processing was abandoned. Returns the stored
+// record; `claimed` is true when this request is the one that gets to process it.
+async function claimKey(scope, key, hash) {
+  try {
+    const created = await IdempotencyKey.create({ scope, key, fingerprint: hash });
+    return { ...created.toObject(), claimed: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+  }
+  const taken = await IdempotencyKey.findOneAndUpdate(
+    { scope, key, fingerprint: hash, status: 'processing', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { lockedAt: new Date() },
+    { new: true }
+  ).lean();
+  if (taken) return { ...taken, claimed: true };
+  const existing = await IdempotencyKey.findOne({ scope, key }).lean();
+  if (!existing) return claimKey(scope, key, hash); // expired in between
+  return { ...existing, claimed: false };
+}
+
+module.exports = { idempotentRequest };
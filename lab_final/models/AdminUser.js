@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+const { roles } = require('../config/roles');
+
+// Failed logins in a row before the account is locked, and for how long
+const MAX_FAILED_LOGINS = 5;
+const LOCK_MINUTES = 15;
+
+// Staff account for the admin panel
+const adminUserSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  name: { type: String, trim: true },
+  role: { type: String, enum: Object.keys(roles), required: true, default: 'analyst' }, // config/roles.js
+  passwordHash: { type: String, required: true, select: false }, // utils/passwords.js
+  active: { type: Boolean, default: true },
+  failedLogins: { type: Number, default: 0, min: 0 },
+  lockedUntil: { type: Date },
+  lastLoginAt: { type: Date },
+  createdAt: { type: Date, default: Date.now }
+});
+
+adminUserSchema.statics.MAX_FAILED_LOGINS = MAX_FAILED_LOGINS;
+adminUserSchema.statics.LOCK_MINUTES = LOCK_MINUTES;
+
+// False when there is no admin
+adminUserSchema.statics.hasPermission = function (admin, permission) {
+  const role = admin && roles[admin.role];
+  return Boolean(role && role.permissions.includes(permission));
+};
+
+adminUserSchema.statics.isLocked = function (admin, now = new Date()) {
+  return Boolean(admin.lockedUntil && admin.lockedUntil > now);
+};
+
+/**
+ * Count a failed login. The MAX_FAILED_LOGINS-th failure in a row locks the account for
+ * LOCK_MINUTES and starts the count again.
+ * @returns {Promise<boolean>} true when this failure locked the account
+ */
+adminUserSchema.statics.recordFailedLogin = async function (adminId) {
+  const admin = await this.findOneAndUpdate(
+    { _id: adminId },
+    { $inc: { failedLogins: 1 } },
+    { new: true }
+  ).lean();
+  if (!admin || admin.failedLogins < MAX_FAILED_LOGINS) return false;
+  await this.updateOne(
+    { _id: adminId },
+    { failedLogins: 0, lockedUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000) }
+  );
+  return true;
+};
+
+adminUserSchema.statics.recordLogin = function (adminId) {
+  return this.updateOne(
+    { _id: adminId },
+    { $set: { failedLogins: 0, lastLoginAt: new Date() }, $unset: { lockedUntil: 1 } }
+  );
+};
+
+module.exports = mongoose.model('AdminUser', adminUserSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// Never copied into an event: secrets, and bookkeeping that changes on every save
+const UNAUDITED_FIELDS = [
+  '_id', '__v', 'createdAt', 'updatedAt',
+  'passwordHash', 'accessTokenHash', 'accessLinks', 'verifyTokenHash'
+];
+
+// Queries that would change or remove events
+const WRITE_QUERIES = [
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete'
+];
+
+// One admin change (product edit, order cancellation, role change, ...). Append-only:
+// events are created and read, never updated or deleted.
+const auditEventSchema = new mongoose.Schema({
+  at: { type: Date, default: Date.now, immutable: true },
+  actor: { type: String, required: true, immutable: true }, // admin email at the time
+  actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'AdminUser', immutable: true },
+  action: { type: String, required: true, immutable: true }, // e.g. 'product.update'
+  targetType: { type: String, required: true, immutable: true }, // model name, e.g. 'Product'
+  targetId: { type: String, immutable: true },
+  targetLabel: { type: String, immutable: true }, // name / code / order number at the time
+  changes: {
+    type: [{
+      _id: false,
+      field: { type: String, required: true },
+      before: { type: mongoose.Schema.Types.Mixed },
+      after: { type: mongoose.Schema.Types.Mixed }
+    }],
+    immutable: true
+  },
+  reason: { type: String, immutable: true },
+  ip: { type: String, immutable: true }
+}, { versionKey: false });
+
+auditEventSchema.index({ at: -1 });
+auditEventSchema.index({ action: 1, at: -1 });
+auditEventSchema.index({ actor: 1, at: -1 });
+auditEventSchema.index({ targetType: 1, targetId: 1, at: -1 });
+
+auditEventSchema.pre('save', function (next) {
+  next(this.isNew ? undefined : new Error('Audit events are append-only'));
+});
+auditEventSchema.pre(WRITE_QUERIES, function (next) {
+  next(new Error('Audit events are append-only'));
+});
+auditEventSchema.pre('deleteOne', { document: true, query: false }, function (next) {
+  next(new Error('Audit events are append-only'));
+});
+
+/**
+ * Field-by-field difference between two versions of a document (documents or plain
+ * objects; null for "did not exist", so a create lists every field with no before and
+ * a delete every field with no after). Nested values (pricing, itinerary) are compared
+ * and recorded whole.
+ * @returns {Array<{ field, before, after }>}
+ */
+auditEventSchema.statics.diff = function (before, after) {
+  const plain = doc => (doc && typeof doc.toObject === 'function' ? doc.toObject() : doc) || {};
+  const a = plain(before);
+  const b = plain(after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter(field => !UNAUDITED_FIELDS.includes(field));
+  return fields
+    .filter(field => JSON.stringify(a[field]) !== JSON.stringify(b[field]))
+    .map(field => ({ field, before: a[field], after: b[field] }));
+};
+
+module.exports = mongoose.model('AuditEvent', auditEventSchema);
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// Product.category and Coupon.categories store category slugs, so renaming a slug must
+// update products and coupons too
+const categorySchema = new mongoose.Schema({
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z0-9]+(?:-[a-z0-9]+)*$/, 'Slug may only contain lowercase letters, numbers and dashes']
+  },
+  name: { type: String, required: true, trim: true },
+  description: { type: String },
+  heroImage: { type: String },
+  sortOrder: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+// Derive the slug from the name when none was given
+categorySchema.pre('validate', function (next) {
+  if (!this.slug && this.name) {
+    this.slug = slugify(this.name);
+  }
+  next();
+});
+
+module.exports = mongoose.model('Category', categorySchema);
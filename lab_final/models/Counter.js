@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. 'order-2026' for that year's order numbers)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String },
+  seq: { type: Number, default: 0 }
+});
+
+/**
+ * Atomically take the next value of a sequence, creating it at 1 on first use.
+ * Concurrent callers always get different values; values taken by a request that
+ * fails later are not handed out again, so a sequence can have gaps.
+ * @returns {Promise<number>}
+ */
+counterSchema.statics.next = async function (name, options = {}) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, ...options }
+  ).lean();
+  return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+// Promo code. Scope: when categories and products are both empty the code applies to the
+// whole cart, otherwise only to lines whose product or category is listed.
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,32}$/, 'Code must be 3-32 letters, numbers, dashes or underscores']
+  },
+  description: { type: String },
+  type: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 }, // percent (0-100) or amount off
+  minOrderValue: { type: Number, default: 0, min: 0 }, // cart subtotal before the discount
+  categories: { type: [String], default: [] }, // category slugs
+  products: { type: [mongoose.Schema.Types.ObjectId], ref: 'Product', default: [] },
+  maxUses: { type: Number, min: 1 }, // unset = unlimited
+  maxUsesPerEmail: { type: Number, min: 1 }, // unset = unlimited
+  timesUsed: { type: Number, default: 0, min: 0 }, // orders placed with the code (cancelled orders give it back)
+  startsAt: { type: Date },
+  endsAt: { type: Date },
+  active: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+couponSchema.path('value').validate(function (value) {
+  return this.type !== 'percent' || value <= 100;
+}, 'A percentage discount cannot be more than 100');
+
+couponSchema.path('endsAt').validate(function (value) {
+  return !value || !this.startsAt || value > this.startsAt;
+}, 'The end date must be after the start date');
+
+/**
+ * Count one use of a code, if maxUses allows (conditional update, as in Departure.reserveSeats).
+ * @returns {Promise<boolean>} true when the use was recorded
+ */
+couponSchema.statics.redeem = async function (couponId, options = {}) {
+  const result = await this.updateOne(
+    {
+      _id: couponId,
+      $or: [{ maxUses: null }, { $expr: { $lt: ['$timesUsed', '$maxUses'] } }]
+    },
+    { $inc: { timesUsed: 1 } },
+    options
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give a use back (failed or cancelled order); never drops below zero
+couponSchema.statics.releaseUse = function (couponId, options = {}) {
+  return this.updateOne({ _id: couponId, timesUsed: { $gte: 1 } }, { $inc: { timesUsed: -1 } }, options);
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// Saved traveler with contact and billing address, used to prefill the checkout form
+const profileSchema = new mongoose.Schema({
+  label: { type: String, trim: true, maxlength: 40 }, // e.g. "Me", "Mum"
+  fullName: { type: String, required: true, trim: true, minlength: 3 },
+  phone: { type: String, trim: true, match: [/^\d{10,}$/, 'Phone must be digits only, at least 10 digits'] },
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  postalCode: { type: String, trim: true, match: [/^\d{4,6}$/, 'Postal code must be 4-6 digits'] },
+  country: { type: String, trim: true } // key of config/charges.js countries
+});
+
+// Storefront customer account. Orders point to it through Order.customer.
+const customerSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please provide a valid email address']
+  },
+  name: { type: String, required: true, trim: true },
+  passwordHash: { type: String, required: true, select: false }, // utils/passwords.js
+  // Guest orders with this email are attached once the address is verified
+  emailVerifiedAt: { type: Date },
+  verifyTokenHash: { type: String, select: false },
+  profiles: { type: [profileSchema], default: [] },
+  defaultProfile: { type: mongoose.Schema.Types.ObjectId }, // _id of one of the profiles
+  createdAt: { type: Date, default: Date.now }
+});
+
+customerSchema.index({ verifyTokenHash: 1 }, { sparse: true });
+
+// Profile to prefill the checkout with: the default one, else the first
+customerSchema.statics.checkoutProfile = function (customer) {
+  const profiles = customer.profiles || [];
+  return profiles.find(p => customer.defaultProfile && String(p._id) === String(customer.defaultProfile)) ||
+    profiles[0] || null;
+};
+
+module.exports = mongoose.model('Customer', customerSchema);
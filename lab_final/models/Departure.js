@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+// A dated departure of a tour with its seat inventory.
+// Seats available = seatsTotal - seatsHeld - seatsSold.
+const departureSchema = new mongoose.Schema({
+  product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+  date: { type: Date, required: true },
+  seatsTotal: { type: Number, required: true, min: 0 },
+  seatsHeld: { type: Number, default: 0, min: 0 }, // blocked by staff (groups, guides)
+  seatsSold: { type: Number, default: 0, min: 0 },
+  priceOverride: { type: Number, min: 0 }, // replaces Product.price for this date when set
+  createdAt: { type: Date, default: Date.now }
+});
+
+departureSchema.index({ product: 1, date: 1 });
+
+// Works on lean objects as well as documents
+departureSchema.statics.seatsAvailable = function (departure) {
+  return Math.max(0, departure.seatsTotal - (departure.seatsHeld || 0) - (departure.seatsSold || 0));
+};
+
+/**
+ * Atomically take seats on a future departure.
+ * The availability check and the increment happen in one update, so two buyers
+ * cannot both take the last seat.
+ * @returns {Promise<boolean>} true when the seats were taken
+ */
+departureSchema.statics.reserveSeats = async function (departureId, quantity, options = {}) {
+  const result = await this.updateOne(
+    {
+      _id: departureId,
+      date: { $gt: new Date() },
+      $expr: { $lte: [{ $add: ['$seatsSold', '$seatsHeld', quantity] }, '$seatsTotal'] }
+    },
+    { $inc: { seatsSold: quantity } },
+    options
+  );
+  return result.modifiedCount === 1;
+};
+
+// Give seats back (failed order, cancellation); never drops below zero
+departureSchema.statics.releaseSeats = function (departureId, quantity, options = {}) {
+  return this.updateOne(
+    { _id: departureId, seatsSold: { $gte: quantity } },
+    { $inc: { seatsSold: -quantity } },
+    options
+  );
+};
+
+module.exports = mongoose.model('Departure', departureSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// A client-chosen Idempotency-Key and the first response sent for it, so a retried
+// request gets the same answer instead of being processed again. Kept for a day.
+const idempotencyKeySchema = new mongoose.Schema({
+  scope: { type: String, required: true }, // endpoint, e.g. 'POST /api/orders'
+  key: { type: String, required: true },
+  fingerprint: { type: String, required: true }, // hash of the session and request body
+  status: { type: String, enum: ['processing', 'completed'], default: 'processing' },
+  lockedAt: { type: Date, default: Date.now }, // when processing (re)started
+  responseStatus: { type: Number },
+  responseBody: { type: mongoose.Schema.Types.Mixed },
+  createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 }
+});
+
+idempotencyKeySchema.index({ scope: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
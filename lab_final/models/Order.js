@@ -1,19 +1,222 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+// Passengers on an order line by pricing tier
+const travelersSchema = new mongoose.Schema({
+  adults: { type: Number, required: true, min: 1 },
+  children: { type: Number, default: 0, min: 0 },
+  infants: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// Fares charged per tier, copied from the product at the time of the order
+const tierPricesSchema = new mongoose.Schema({
+  adult: { type: Number, required: true, min: 0 },
+  child: { type: Number, required: true, min: 0 },
+  infant: { type: Number, required: true, min: 0 },
+  singleSupplement: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+// A tax or fee line from config/charges.js, as charged on this order
+const chargeSchema = new mongoose.Schema({
+  code: { type: String, required: true },
+  label: { type: String, required: true },
+  kind: { type: String, enum: ['tax', 'fee'], required: true },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Promo code applied to the order, copied so the order keeps it if the coupon changes
+const discountSchema = new mongoose.Schema({
+  coupon: { type: mongoose.Schema.Types.ObjectId, ref: 'Coupon' },
+  code: { type: String, required: true },
+  description: { type: String },
+  type: { type: String, enum: ['percent', 'fixed'], required: true },
+  value: { type: Number, required: true, min: 0 },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+// Contact and billing details from the checkout form (card details are never stored)
+const billingSchema = new mongoose.Schema({
+  phone: { type: String, trim: true },
+  address: { type: String, trim: true },
+  city: { type: String, trim: true },
+  postalCode: { type: String, trim: true },
+  country: { type: String, trim: true } // key of config/charges.js countries
+}, { _id: false });
+
+// One attempt to take payment through a provider (payments/). Only the card brand and
+// last four digits are kept - never the card number, expiry or CVV.
+const paymentIntentSchema = new mongoose.Schema({
+  provider: { type: String, required: true },
+  intentId: { type: String, required: true },
+  method: { type: String, enum: ['card', 'paypal', 'bank'] },
+  amount: { type: Number, required: true, min: 0 },
+  currency: { type: String, default: 'USD' },
+  // refunding: an admin cancel has claimed the refund and is waiting for the provider
+  status: {
+    type: String,
+    enum: ['requires_action', 'authorized', 'pending', 'captured', 'refunding', 'declined', 'refunded'],
+    required: true
+  },
+  card: {
+    brand: { type: String },
+    last4: { type: String, match: /^\d{4}$/ }
+  },
+  declineReason: { type: String },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+/**
+ * ORDER LIFECYCLE
+ * 
+ * Pending -> Paid -> Confirmed -> Travelled -> Completed, with two ways out:
+ * - Cancelled: the order ends without money having been taken
+ * - Refunded: the order ends and the customer got their money back
+ * Keys are the current status, values the statuses the order may move to.
+ * (Confirmed -> Cancelled is for orders confirmed before payments were taken.)
+ */
+const STATUS_TRANSITIONS = {
+  Pending: ['Paid', 'Cancelled'],
+  Paid: ['Confirmed', 'Refunded'],
+  Confirmed: ['Travelled', 'Cancelled', 'Refunded'],
+  Travelled: ['Completed'],
+  Completed: [],
+  Cancelled: [],
+  Refunded: []
+};
+
+// Statuses in which the order no longer holds seats or a coupon use
+const CLOSED_STATUSES = ['Cancelled', 'Refunded'];
+
+// One status change; `from` is unset for the entry written when the order is placed
+const statusHistorySchema = new mongoose.Schema({
+  from: { type: String },
+  to: { type: String, required: true },
+  at: { type: Date, default: Date.now },
+  actor: { type: String, required: true }, // customer, admin, payment:<provider>
+  reason: { type: String }
+}, { _id: false });
 
 const orderItemSchema = new mongoose.Schema({
   product: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: false },
+  departure: { type: mongoose.Schema.Types.ObjectId, ref: 'Departure', required: false },
+  departureDate: { type: Date }, // copied so the order keeps the date if the departure is deleted
   name: { type: String, required: true },
-  quantity: { type: Number, required: true, min: 1 },
-  price: { type: Number, required: true, min: 0 }
+  category: { type: String }, // category slug at the time of the order
+  quantity: { type: Number, required: true, min: 1 }, // total travelers
+  price: { type: Number, required: true, min: 0 }, // adult fare
+  travelers: { type: travelersSchema },
+  singleRooms: { type: Number, default: 0, min: 0 },
+  tierPrices: { type: tierPricesSchema },
+  lineTotal: { type: Number, min: 0 }, // orders placed before tiers only have price * quantity
+  discount: { type: Number, default: 0, min: 0 } // this line's share of the order discount
 });
 
+const accessLinkSchema = new mongoose.Schema({
+  tokenHash: { type: String, required: true },
+  expiresAt: { type: Date, required: true }
+}, { _id: false });
+
+// WT-<year>-<6+ digit sequence>, e.g. WT-2026-000123
+const ORDER_NUMBER_PATTERN = /^WT-\d{4}-\d{6,}$/;
+
 const orderSchema = new mongoose.Schema({
+  // Readable reference for customers and staff; orders from before numbering have none
+  orderNumber: { type: String, unique: true, sparse: true, match: ORDER_NUMBER_PATTERN },
+  customer: { type: mongoose.Schema.Types.ObjectId, ref: 'Customer' }, // unset for guest orders
   customerName: { type: String, required: true },
   email: { type: String, required: true },
+  billing: { type: billingSchema },
+  paymentMethod: { type: String, enum: ['card', 'paypal', 'bank'] },
+  // unpaid: no payment step (orders from before payments); requires_action: customer is on
+  // the 3-D Secure/PayPal page; pending: waiting for a bank transfer
+  paymentStatus: {
+    type: String,
+    enum: ['unpaid', 'requires_action', 'pending', 'paid', 'failed', 'refunded'],
+    default: 'unpaid'
+  },
+  paymentIntents: { type: [paymentIntentSchema], default: [] },
   items: { type: [orderItemSchema], required: true },
+  subtotal: { type: Number, min: 0 }, // sum of the item lines, before the discount, taxes and fees
+  discount: { type: discountSchema },
+  charges: { type: [chargeSchema], default: [] },
   totalAmount: { type: Number, required: true, min: 0 },
-  status: { type: String, enum: ['Pending', 'Confirmed', 'Cancelled'], default: 'Pending' },
+  status: { type: String, enum: Object.keys(STATUS_TRANSITIONS), default: 'Pending' },
+  statusHistory: { type: [statusHistorySchema], default: [] },
+  // Hash of the secret in the confirmation link (/order-confirmation/:id?token=...)
+  accessTokenHash: { type: String, select: false },
+  // One-time links sent by "find my booking" (hashes, valid until expiresAt)
+  accessLinks: { type: [accessLinkSchema], default: [], select: false },
   createdAt: { type: Date, default: Date.now }
 });
 
+orderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+orderSchema.statics.CLOSED_STATUSES = CLOSED_STATUSES;
+
+/**
+ * Take the next order number. One counter per year, so numbers restart at 000001
+ * every January.
+ * @param {Date} [date] - When the order is placed
+ * @returns {Promise<string>} e.g. 'WT-2026-000123'
+ */
+orderSchema.statics.nextOrderNumber = async function (date = new Date()) {
+  const year = date.getUTCFullYear();
+  const seq = await Counter.next(`order-${year}`);
+  return `WT-${year}-${String(seq).padStart(6, '0')}`;
+};
+
+// Query filter for an order reference as typed by a customer or admin: the ObjectId or
+// the order number (any case). null when it is neither.
+orderSchema.statics.referenceFilter = function (reference) {
+  const value = String(reference || '').trim();
+  if (/^[0-9a-f]{24}$/i.test(value)) return { _id: value };
+  if (ORDER_NUMBER_PATTERN.test(value.toUpperCase())) return { orderNumber: value.toUpperCase() };
+  return null;
+};
+
+orderSchema.statics.canTransition = function (from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+/**
+ * Move an order to another status, if the lifecycle allows it from the status it is in.
+ * Conditional on the status that was checked, so concurrent moves do not both apply; the
+ * change is recorded in statusHistory in the same write.
+ * @param {string|ObjectId} orderId
+ * @param {string} to - Target status
+ * @param {Object} change - { actor, reason, set?, filter?, arrayFilters? }: other fields to
+ *   update in the same write, extra conditions the order has to meet, and their array filters
+ * @returns {Promise<Object|null>} The updated (lean) order, or null when no order matches
+ * @throws {Error} 'Status change not allowed: ...' when the lifecycle forbids the move
+ */
+orderSchema.statics.transition = async function (orderId, to, change) {
+  const { actor, reason, set = {}, filter = {}, arrayFilters } = change;
+  // Retry when another request changed the status between the read and the write
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const order = await this.findOne({ _id: orderId, ...filter }, { status: 1 }).lean();
+    if (!order) return null;
+    if (!this.canTransition(order.status, to)) {
+      throw new Error(`Status change not allowed: ${order.status} -> ${to}`);
+    }
+    const updated = await this.findOneAndUpdate(
+      { _id: orderId, status: order.status, ...filter },
+      {
+        $set: { ...set, status: to },
+        $push: { statusHistory: { from: order.status, to, at: new Date(), actor, reason } }
+      },
+      { new: true, arrayFilters }
+    ).lean();
+    if (updated) return updated;
+  }
+  throw new Error('Status change not allowed: the order is being updated, try again');
+};
+
+// Webhooks look orders up by the provider's intent id
+orderSchema.index({ 'paymentIntents.intentId': 1 });
+orderSchema.index({ 'accessLinks.tokenHash': 1 });
+orderSchema.index({ customer: 1, createdAt: -1 });
+orderSchema.index({ email: 1 });
+// Sweep for abandoned payment approvals
+orderSchema.index({ paymentStatus: 1, createdAt: 1 });
+
 module.exports = mongoose.model('Order', orderSchema);
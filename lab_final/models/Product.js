@@ -1,12 +1,93 @@
 const mongoose = require('mongoose');
+const slugify = require('../utils/slugify');
+
+// One day of a tour's itinerary
+const itineraryDaySchema = new mongoose.Schema({
+  day: { type: Number, required: true, min: 1 },
+  title: { type: String, required: true },
+  description: { type: String }
+}, { _id: false });
+
+// Passenger pricing tiers and the age rules that decide who falls in which tier.
+// The adult fare is the product price (or a departure's priceOverride).
+const pricingSchema = new mongoose.Schema({
+  childPrice: { type: Number, min: 0 }, // unset = children pay the adult fare
+  infantPrice: { type: Number, min: 0, default: 0 },
+  singleSupplement: { type: Number, min: 0, default: 0 }, // per adult who wants a room to themselves
+  // Ages are inclusive: infants are 0..infantMaxAge, children up to childMaxAge, adults above
+  infantMaxAge: { type: Number, min: 0, default: 1 },
+  childMaxAge: { type: Number, min: 0, default: 11 }
+}, { _id: false });
+
+pricingSchema.path('childMaxAge').validate(function (value) {
+  return value > this.infantMaxAge;
+}, 'Child age limit must be above the infant age limit');
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
+  // URL key for /products/:slug - generated from the name and kept stable afterwards
+  slug: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
   price: { type: Number, required: true },
   category: { type: String, required: true },
   image: { type: String },
   description: { type: String },
+  // Extra detail-page content
+  gallery: { type: [String], default: [] },
+  itinerary: { type: [itineraryDaySchema], default: [] },
+  included: { type: [String], default: [] },
+  pricing: { type: pricingSchema, default: () => ({}) },
+  // Units sold across all orders - drives sort=popular on the catalog API
+  salesCount: { type: Number, default: 0, min: 0 },
   createdAt: { type: Date, default: Date.now }
 });
 
+// Full-text search index used by GET /api/products?q=...
+// Name matches rank above category matches, which rank above description matches.
+productSchema.index(
+  { name: 'text', category: 'text', description: 'text' },
+  { name: 'ProductTextIndex', weights: { name: 10, category: 5, description: 1 } }
+);
+
+// Generate a unique slug from the name when the product has none ("budget-turkey", "budget-turkey-2", ...)
+productSchema.pre('validate', async function () {
+  if (this.slug || !this.name) return;
+  const base = slugify(this.name) || 'tour';
+  let candidate = base;
+  for (let n = 2; await this.constructor.exists({ slug: candidate, _id: { $ne: this._id } }); n++) {
+    candidate = `${base}-${n}`;
+  }
+  this.slug = candidate;
+});
+
+/**
+ * Fares per passenger tier for one booking, also for products saved before tiers
+ * existed (schema defaults apply).
+ * Child and infant fares never exceed the adult fare, so a cheaper departure
+ * price cannot make the adult the cheapest ticket.
+ * @param {Object} product
+ * @param {number} adultPrice - product.price or the departure's priceOverride
+ * @returns {Object} { adult, child, infant, singleSupplement }
+ */
+productSchema.statics.tierPrices = function (product, adultPrice) {
+  const pricing = product.pricing || {};
+  return {
+    adult: adultPrice,
+    child: Math.min(pricing.childPrice != null ? pricing.childPrice : adultPrice, adultPrice),
+    infant: Math.min(pricing.infantPrice != null ? pricing.infantPrice : 0, adultPrice),
+    singleSupplement: pricing.singleSupplement || 0
+  };
+};
+
+// Age rules as display labels: { adult: '12+', child: '2-11', infant: '0-1' }
+productSchema.statics.ageBands = function (product) {
+  const pricing = product.pricing || {};
+  const infantMax = pricing.infantMaxAge != null ? pricing.infantMaxAge : 1;
+  const childMax = pricing.childMaxAge != null ? pricing.childMaxAge : 11;
+  return {
+    adult: `${childMax + 1}+`,
+    child: `${infantMax + 1}-${childMax}`,
+    infant: `0-${infantMax}`
+  };
+};
+
 module.exports = mongoose.model('Product', productSchema);
@@ -0,0 +1,36 @@
+/**
+ * PAYMENT PROVIDERS
+ * 
+ * Every provider exposes the same interface so the checkout never talks to a
+ * gateway directly. Amounts are in dollars; card details are only ever passed
+ * through to authorize() and must not be stored or logged - providers answer
+ * with the card brand and last four digits, which is all an order keeps.
+ * 
+ * provider.name
+ * provider.authorize({ orderId, amount, currency, method, card?, returnUrl })
+ *   -> { intentId, status, redirectUrl?, declineReason?, card?: { brand, last4 } }
+ *   status: 'authorized' | 'requires_action' (send the customer to redirectUrl)
+ *           | 'pending' (bank transfer, settled later by webhook) | 'declined'
+ * provider.capture(intentId, amount)   -> { intentId, status: 'captured' }
+ * provider.refund(intentId, amount)    -> { intentId, status: 'refunded' }
+ * provider.retrieve(intentId)          -> same shape as authorize()
+ * provider.parseWebhook(rawBody, headers)
+ *   -> { type, intentId } after checking the signature; throws on a bad signature
+ *   type: 'payment.authorized' | 'payment.captured' | 'payment.failed' | 'payment.refunded'
+ * provider.router (optional) - express router mounted at /payments/<name>
+ * 
+ * The provider is picked with PAYMENT_PROVIDER (default: the local mock gateway).
+ */
+const providers = {
+  mock: require('./mock')
+};
+
+function getProvider(name) {
+  const provider = providers[name || process.env.PAYMENT_PROVIDER || 'mock'];
+  if (!provider) {
+    throw new Error(`Unknown payment provider: ${name || process.env.PAYMENT_PROVIDER}`);
+  }
+  return provider;
+}
+
+module.exports = { getProvider, providers };
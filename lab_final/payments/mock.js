@@ -0,0 +1,189 @@
+// Local mock payment gateway (see payments/index.js for the provider interface).
+// No network calls: the gateway's intents are kept in their own collection, standing in
+// for the provider's records, so refunds and returns still work after a restart.
+//
+// Test cards (any expiry and CVV that pass checkout validation):
+//   4000 0000 0000 0002  - declined (card_declined)
+//   4000 0000 0000 9995  - declined (insufficient_funds)
+//   4000 0000 0000 3220  - 3-D Secure challenge on /payments/mock/challenge/:intentId
+//   any other 16 digits  - approved
+// PayPal always goes through the same approval page. Bank transfers stay pending
+// until a signed payment.captured webhook arrives (see signWebhook).
+const crypto = require('crypto');
+const express = require('express');
+const mongoose = require('mongoose');
+
+// The development secret is public, so in production webhooks are refused until
+// PAYMENT_WEBHOOK_SECRET is set
+const WEBHOOK_SECRET = process.env.PAYMENT_WEBHOOK_SECRET ||
+  (process.env.NODE_ENV === 'production' ? null : 'dev-webhook-secret');
+if (!WEBHOOK_SECRET) {
+  console.warn('PAYMENT_WEBHOOK_SECRET is not set - payment webhooks will be rejected');
+}
+const DECLINED_CARDS = {
+  '4000000000000002': 'card_declined',
+  '4000000000009995': 'insufficient_funds'
+};
+const CHALLENGE_CARD = '4000000000003220';
+
+const MockPaymentIntent = mongoose.model('MockPaymentIntent', new mongoose.Schema({
+  _id: { type: String }, // mock_pi_...
+  orderId: { type: String },
+  amount: { type: Number, required: true },
+  currency: { type: String, default: 'USD' },
+  method: { type: String },
+  returnUrl: { type: String },
+  status: { type: String, required: true },
+  card: { brand: String, last4: String },
+  declineReason: { type: String },
+  createdAt: { type: Date, default: Date.now }
+}));
+
+function cardBrand(number) {
+  if (/^4/.test(number)) return 'Visa';
+  if (/^5[1-5]/.test(number)) return 'Mastercard';
+  if (/^3[47]/.test(number)) return 'American Express';
+  return 'Card';
+}
+
+// What the gateway tells its caller about an intent
+function view(intent) {
+  const result = { intentId: intent._id, status: intent.status };
+  if (intent.status === 'requires_action') result.redirectUrl = `/payments/mock/challenge/${intent._id}`;
+  if (intent.declineReason) result.declineReason = intent.declineReason;
+  if (intent.card) result.card = intent.card;
+  return result;
+}
+
+async function findIntent(intentId) {
+  const intent = await MockPaymentIntent.findById(String(intentId)).lean();
+  if (!intent) throw new Error(`Payment intent not found: ${intentId}`);
+  return intent;
+}
+
+// Move an intent on from the status it was read with; a concurrent call that got there
+// first wins and its result is returned
+async function setStatus(intent, status) {
+  const updated = await MockPaymentIntent.findOneAndUpdate(
+    { _id: intent._id, status: intent.status },
+    { $set: { status } },
+    { new: true }
+  ).lean();
+  return updated || findIntent(intent._id);
+}
+
+async function authorize({ orderId, amount, currency, method, card, returnUrl }) {
+  const intent = {
+    _id: 'mock_pi_' + crypto.randomBytes(12).toString('hex'),
+    orderId: String(orderId),
+    amount,
+    currency: currency || 'USD',
+    method,
+    returnUrl,
+    status: 'authorized'
+  };
+
+  if (method === 'bank') {
+    intent.status = 'pending';
+  } else if (method === 'paypal') {
+    intent.status = 'requires_action';
+  } else {
+    // Only the brand and last four digits are kept, even by the mock
+    const number = String((card && card.number) || '').replace(/\D/g, '');
+    intent.card = { brand: cardBrand(number), last4: number.slice(-4) };
+    if (DECLINED_CARDS[number]) {
+      intent.status = 'declined';
+      intent.declineReason = DECLINED_CARDS[number];
+    } else if (number === CHALLENGE_CARD) {
+      intent.status = 'requires_action';
+    }
+  }
+
+  await MockPaymentIntent.create(intent);
+  return view(intent);
+}
+
+async function capture(intentId, amount) {
+  const intent = await findIntent(intentId);
+  if (intent.status === 'captured') return view(intent); // already done
+  if (intent.status !== 'authorized' && intent.status !== 'pending') {
+    throw new Error(`Payment capture failed: intent is ${intent.status}`);
+  }
+  if (amount > intent.amount) {
+    throw new Error('Payment capture failed: amount is more than was authorized');
+  }
+  return view(await setStatus(intent, 'captured'));
+}
+
+async function refund(intentId) {
+  const intent = await findIntent(intentId);
+  if (intent.status === 'refunded') return view(intent); // already done
+  if (intent.status !== 'captured') {
+    throw new Error(`Payment refund failed: intent is ${intent.status}`);
+  }
+  return view(await setStatus(intent, 'refunded'));
+}
+
+async function retrieve(intentId) {
+  return view(await findIntent(intentId));
+}
+
+// HMAC-SHA256 of the raw body, sent in the X-Mock-Signature header
+function signWebhook(rawBody) {
+  if (!WEBHOOK_SECRET) throw new Error('Webhooks are disabled: PAYMENT_WEBHOOK_SECRET is not set');
+  return crypto.createHmac('sha256', WEBHOOK_SECRET).update(rawBody).digest('hex');
+}
+
+async function parseWebhook(rawBody, headers) {
+  const expected = Buffer.from(signWebhook(rawBody || ''), 'hex');
+  const given = Buffer.from(String(headers['x-mock-signature'] || ''), 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('Invalid webhook signature');
+  }
+  const event = JSON.parse(String(rawBody));
+  // Keep the gateway's own view in step (e.g. a bank transfer arriving)
+  const statuses = {
+    'payment.authorized': 'authorized',
+    'payment.captured': 'captured',
+    'payment.failed': 'declined',
+    'payment.refunded': 'refunded'
+  };
+  if (statuses[event.type]) {
+    await MockPaymentIntent.updateOne({ _id: String(event.intentId) }, { $set: { status: statuses[event.type] } });
+  }
+  return { type: event.type, intentId: event.intentId };
+}
+
+// Customer-facing approval page standing in for the bank's 3-D Secure screen or PayPal
+const router = express.Router();
+
+router.get('/challenge/:intentId', async (req, res) => {
+  try {
+    const intent = await MockPaymentIntent.findOne({ _id: req.params.intentId, status: 'requires_action' }).lean();
+    if (!intent) return res.status(404).send('Payment session not found');
+    res.render('mock_challenge', { intent });
+  } catch (err) {
+    console.error('Mock challenge error', err);
+    res.status(500).send('Payment session failed');
+  }
+});
+
+router.post('/challenge/:intentId', async (req, res) => {
+  try {
+    const result = req.body.result === 'approve'
+      ? { status: 'authorized' }
+      : { status: 'declined', declineReason: 'authentication_failed' };
+    const intent = await MockPaymentIntent.findOneAndUpdate(
+      { _id: req.params.intentId, status: 'requires_action' },
+      { $set: result },
+      { new: true }
+    ).lean();
+    if (!intent) return res.status(404).send('Payment session not found');
+    res.redirect(intent.returnUrl);
+  } catch (err) {
+    console.error('Mock challenge error', err);
+    res.status(500).send('Payment session failed');
+  }
+});
+
+module.exports = { name: 'mock', authorize, capture, refund, retrieve, parseWebhook, signWebhook, router };
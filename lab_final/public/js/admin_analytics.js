@@ -0,0 +1,129 @@
+// Sales charts on the admin dashboard.
+//
+// Everything is computed on the server (/admin/api/analytics/*); this script only
+// keeps the date range picker, asks for the figures and draws them with Chart.js.
+// The range is kept in the page URL (?from=&to=&interval=) so a reload or a shared
+// link shows the same period.
+(function () {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const form = document.getElementById('analytics-range');
+  const errorEl = document.getElementById('analytics-error');
+  const charts = {};
+
+  function dayString(date) {
+    return date.toISOString().slice(0, 10);
+  }
+
+  // Last `days` days up to today (UTC, like the server)
+  function presetRange(days) {
+    const today = new Date();
+    return { from: dayString(new Date(today.getTime() - (days - 1) * DAY_MS)), to: dayString(today) };
+  }
+
+  function currency(amount) {
+    return '$' + amount.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  }
+
+  async function getJson(path, params) {
+    const res = await fetch(`/admin/api/analytics/${path}?${params}`, { headers: { Accept: 'application/json' } });
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Could not load the figures');
+    return data;
+  }
+
+  // Replace a chart (Chart.js cannot re-use a canvas that still has one)
+  function draw(id, config) {
+    if (charts[id]) charts[id].destroy();
+    charts[id] = new Chart(document.getElementById(id), config);
+  }
+
+  function horizontalBars(id, rows) {
+    draw(id, {
+      type: 'bar',
+      data: {
+        labels: rows.map(row => row.name),
+        datasets: [{ label: 'Revenue', data: rows.map(row => row.revenue), backgroundColor: '#4e79a7' }]
+      },
+      options: {
+        indexAxis: 'y',
+        plugins: {
+          legend: { display: false },
+          tooltip: { callbacks: { label: ctx => `${currency(ctx.parsed.x)} - ${rows[ctx.dataIndex].bookings} booking(s)` } }
+        }
+      }
+    });
+  }
+
+  async function load() {
+    const params = new URLSearchParams(new FormData(form));
+    history.replaceState(null, '', `${location.pathname}?${params}`);
+    errorEl.hidden = true;
+    try {
+      const [summary, revenue, products, categories] = await Promise.all([
+        getJson('summary', params),
+        getJson('revenue', params),
+        getJson('top-products', params),
+        getJson('top-categories', params)
+      ]);
+
+      document.getElementById('kpi-revenue').textContent = currency(summary.revenue);
+      document.getElementById('kpi-orders').textContent = summary.orders;
+      document.getElementById('kpi-aov').textContent = currency(summary.averageOrderValue);
+      document.getElementById('kpi-cancellation').textContent = (summary.cancellationRate * 100).toFixed(1) + '%';
+
+      draw('chart-revenue', {
+        type: 'bar',
+        data: {
+          labels: revenue.points.map(point => point.period),
+          datasets: [
+            { type: 'line', label: 'Revenue', data: revenue.points.map(point => point.revenue), borderColor: '#4e79a7', backgroundColor: '#4e79a7', yAxisID: 'revenue' },
+            { label: 'Orders placed', data: revenue.points.map(point => point.orders), backgroundColor: '#d3dce6', yAxisID: 'orders' }
+          ]
+        },
+        options: {
+          scales: {
+            revenue: { position: 'left', beginAtZero: true, ticks: { callback: value => currency(value) } },
+            orders: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, ticks: { precision: 0 } }
+          }
+        }
+      });
+      horizontalBars('chart-products', products.products);
+      horizontalBars('chart-categories', categories.categories);
+      draw('chart-statuses', {
+        type: 'doughnut',
+        data: {
+          labels: summary.statuses.map(row => row.status),
+          datasets: [{
+            data: summary.statuses.map(row => row.orders),
+            backgroundColor: ['#4e79a7', '#59a14f', '#f28e2b', '#e15759', '#76b7b2', '#edc948', '#b07aa1']
+          }]
+        }
+      });
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.hidden = false;
+    }
+  }
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+    load();
+  });
+
+  form.querySelectorAll('button[data-days]').forEach(button => {
+    button.addEventListener('click', () => {
+      const range = presetRange(parseInt(button.getAttribute('data-days')));
+      form.elements.from.value = range.from;
+      form.elements.to.value = range.to;
+      load();
+    });
+  });
+
+  // Start from the range in the URL, or the last 30 days
+  const query = new URLSearchParams(location.search);
+  const initial = presetRange(30);
+  form.elements.from.value = query.get('from') || initial.from;
+  form.elements.to.value = query.get('to') || initial.to;
+  if (query.get('interval')) form.elements.interval.value = query.get('interval');
+  load();
+})();
@@ -0,0 +1,189 @@
+// Shared client-side cart used by every storefront page.
+//
+// The session cart on the server is authoritative: this script only talks to the
+// item-level /api/cart endpoints and renders whatever the server answers, so
+// names, prices and totals always come from the database. The header mini-cart
+// (badge + dropdown) is rendered from the same data, and a 'cart:change' event
+// is dispatched on document after every update for pages that show the cart.
+(function () {
+  const MAX_QUANTITY = 20;
+
+  const countEl = document.getElementById('mini-cart-count');
+  const toggleEl = document.getElementById('mini-cart-toggle');
+  const dropdownEl = document.getElementById('mini-cart-dropdown');
+  const itemsEl = document.getElementById('mini-cart-items');
+  const totalEl = document.getElementById('mini-cart-total');
+
+  // Sent with every change (see middleware/csrf.js on the server)
+  const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+  const csrfToken = csrfMeta ? csrfMeta.content : '';
+
+  // Last cart payload from the server: { items, total, count, removedItems }
+  let cart = { items: [], total: 0, count: 0, removedItems: [] };
+
+  function clampQuantity(qty) {
+    const n = parseInt(qty);
+    if (isNaN(n) || n < 1) return 1;
+    return Math.min(n, MAX_QUANTITY);
+  }
+
+  // Call a cart endpoint and store the priced cart it returns
+  async function request(method, url, body) {
+    const options = { method, headers: {} };
+    if (method !== 'GET') options.headers['X-CSRF-Token'] = csrfToken;
+    if (body !== undefined) {
+      options.headers['Content-Type'] = 'application/json';
+      options.body = JSON.stringify(body);
+    }
+    const res = await fetch(url, options);
+    const data = await res.json();
+    if (!res.ok) throw new Error(data.error || 'Cart request failed');
+    cart = data;
+    render();
+    document.dispatchEvent(new CustomEvent('cart:change', { detail: { cart } }));
+    return cart;
+  }
+
+  function refresh() {
+    return request('GET', '/api/cart');
+  }
+
+  /**
+   * Add a product to the cart; the server merges it with an existing line.
+   * @param {Object} product - Product as returned by /api/products (only _id is sent)
+   * @param {number|Object} quantity - How many adults to add (defaults to 1), or a
+   *   traveler breakdown { adults, children, infants, singleRooms }
+   * @param {string} [departureId] - Departure date to book (required for dated tours)
+   */
+  function add(product, quantity, departureId) {
+    const body = { productId: product._id };
+    if (quantity && typeof quantity === 'object') {
+      const { singleRooms, ...travelers } = quantity;
+      body.travelers = travelers;
+      body.singleRooms = singleRooms || 0;
+    } else {
+      body.quantity = clampQuantity(quantity);
+    }
+    if (departureId) body.departureId = departureId;
+    return request('POST', '/api/cart/items', body);
+  }
+
+  // Lines are addressed by the lineId the server returns with each item
+  function setQuantity(lineId, quantity) {
+    return request('PATCH', '/api/cart/items/' + encodeURIComponent(lineId), { quantity: clampQuantity(quantity) });
+  }
+
+  function remove(lineId) {
+    return request('DELETE', '/api/cart/items/' + encodeURIComponent(lineId));
+  }
+
+  function clear() {
+    return request('DELETE', '/api/cart');
+  }
+
+  function get() {
+    return cart;
+  }
+
+  function render() {
+    if (!countEl) return; // page without the storefront header
+    countEl.textContent = cart.count;
+    countEl.classList.toggle('is-empty', cart.count === 0);
+
+    if (cart.items.length === 0) {
+      itemsEl.innerHTML = '<li class="mini-cart-empty">Your cart is empty</li>';
+    } else {
+      itemsEl.innerHTML = cart.items.map(item => `
+        <li class="mini-cart-item">
+          <span class="mini-cart-name">
+            ${escapeHtml(item.name)}
+            ${item.departureDate ? `<small class="mini-cart-date">${escapeHtml(item.departureDate.slice(0, 10))}</small>` : ''}
+            ${hasBreakdown(item) ? `<small class="mini-cart-date">${escapeHtml(describeTravelers(item))}</small>` : ''}
+          </span>
+          <span class="mini-cart-qty">
+            <button type="button" data-action="dec" data-id="${escapeHtml(item.lineId)}" aria-label="Decrease quantity">-</button>
+            ${item.quantity}
+            <button type="button" data-action="inc" data-id="${escapeHtml(item.lineId)}" aria-label="Increase quantity">+</button>
+          </span>
+          <span class="mini-cart-price">$${item.lineTotal.toFixed(2)}</span>
+          <button type="button" class="mini-cart-remove" data-action="remove" data-id="${escapeHtml(item.lineId)}" aria-label="Remove">&times;</button>
+        </li>
+      `).join('');
+    }
+    totalEl.textContent = '$' + cart.total.toFixed(2);
+  }
+
+  // Only worth showing when the line is more than just adults
+  function hasBreakdown(item) {
+    return item.travelers && (item.travelers.children > 0 || item.travelers.infants > 0 || item.singleRooms > 0);
+  }
+
+  // "2 adults, 1 child, 1 single room"
+  function describeTravelers(item) {
+    const t = item.travelers;
+    const parts = [plural(t.adults, 'adult', 'adults')];
+    if (t.children) parts.push(plural(t.children, 'child', 'children'));
+    if (t.infants) parts.push(plural(t.infants, 'infant', 'infants'));
+    if (item.singleRooms) parts.push(plural(item.singleRooms, 'single room', 'single rooms'));
+    return parts.join(', ');
+  }
+
+  function plural(n, one, many) {
+    return `${n} ${n === 1 ? one : many}`;
+  }
+
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  if (toggleEl) {
+    toggleEl.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const open = dropdownEl.hidden;
+      dropdownEl.hidden = !open;
+      toggleEl.setAttribute('aria-expanded', String(open));
+    });
+
+    // Close the dropdown when clicking anywhere else
+    document.addEventListener('click', (e) => {
+      if (!dropdownEl.hidden && !dropdownEl.contains(e.target)) {
+        dropdownEl.hidden = true;
+        toggleEl.setAttribute('aria-expanded', 'false');
+      }
+    });
+
+    dropdownEl.querySelector('.mini-cart-checkout').addEventListener('click', (e) => {
+      if (cart.items.length === 0) e.preventDefault();
+    });
+
+    itemsEl.addEventListener('click', (e) => {
+      const btn = e.target.closest('button[data-action]');
+      if (!btn) return;
+      e.stopPropagation();
+      const id = btn.getAttribute('data-id');
+      const item = cart.items.find(it => it.lineId === id);
+      if (!item) return;
+      const action = btn.getAttribute('data-action');
+      let pending;
+      if (action === 'remove' || (action === 'dec' && item.quantity <= 1)) pending = remove(id);
+      else if (action === 'dec') pending = setQuantity(id, item.quantity - 1);
+      else if (action === 'inc') pending = setQuantity(id, item.quantity + 1);
+      if (pending) pending.catch(err => alert(err.message));
+    });
+  }
+
+  // Another tab may have changed the (shared) session cart
+  window.addEventListener('focus', () => {
+    refresh().catch(err => console.error('Cart refresh error:', err));
+  });
+
+  window.Cart = { get, refresh, add, setQuantity, remove, clear };
+
+  refresh().catch(err => console.error('Cart refresh error:', err));
+})();
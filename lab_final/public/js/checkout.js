@@ -1,6 +1,7 @@
 $(document).ready(function() {
-  
-  
+  // Required on every POST/DELETE (see middleware/csrf.js on the server)
+  const csrfToken = $('meta[name="csrf-token"]').attr('content') || '';
+
   $('input[name="paymentMethod"]').on('change', function() {
     if ($(this).val() === 'card') {
       $('#cardFields').removeClass('d-none');
@@ -11,11 +12,146 @@ $(document).ready(function() {
     }
   });
 
-  
+  // Logged-in customers: picking a saved traveler fills in their details
+  $('#savedProfile').on('change', function() {
+    const option = $(this).find('option:selected');
+    ['fullName', 'phone', 'address', 'city', 'postalCode'].forEach(field => {
+      $('#' + field).val(option.data(field) || '').removeClass('is-invalid is-valid');
+    });
+    $('#country').val(option.data('country') || '').trigger('change');
+  });
+
   $('#fullName, #email, #phone, #address, #city, #postalCode, #country, #cardName, #cardNumber, #cardExpiry, #cardCVV').on('blur', function() {
     validateField($(this));
   });
 
+  // Live order summary - the server prices the cart with the taxes and fees of the selected country
+  async function fetchSummary() {
+    const response = await fetch('/api/checkout/summary?country=' + encodeURIComponent($('#country').val() || ''));
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Could not load order summary');
+    return result;
+  }
+
+  function refreshSummary() {
+    fetchSummary()
+      .then(renderSummary)
+      .catch(err => console.error('Order summary error:', err));
+  }
+
+  // Same markup as views/partials/checkout_summary.ejs
+  function renderSummary(summary) {
+    const lines = summary.items.map(item => `
+      <div class="summary-line d-flex justify-content-between">
+        <span>
+          ${escapeHtml(item.name)}
+          ${item.departureDate ? `<small class="d-block text-muted">${escapeHtml(item.departureDate.slice(0, 10))}</small>` : ''}
+          <small class="d-block text-muted">${escapeHtml(describeTravelers(item))}</small>
+        </span>
+        <span>$${item.lineTotal.toFixed(2)}</span>
+      </div>`).join('');
+    const charges = summary.charges.map(charge => `
+      <div class="summary-item d-flex justify-content-between">
+        <span>${escapeHtml(charge.label)}:</span>
+        <span>$${charge.amount.toFixed(2)}</span>
+      </div>`).join('');
+    $('#summary-body').html(`
+      ${lines}
+      <hr>
+      <div class="summary-item d-flex justify-content-between">
+        <span>Subtotal:</span>
+        <span>$${summary.subtotal.toFixed(2)}</span>
+      </div>
+      ${summary.discount ? `
+      <div class="summary-item summary-discount d-flex justify-content-between">
+        <span>Discount (${escapeHtml(summary.discount.code)}):</span>
+        <span>-$${summary.discount.amount.toFixed(2)}</span>
+      </div>` : ''}
+      ${charges}
+      ${summary.country ? '' : '<div class="summary-item text-muted"><small>Taxes are added once you select a country.</small></div>'}
+      <hr>
+      <div class="summary-total d-flex justify-content-between">
+        <strong>Total:</strong>
+        <strong>$${summary.total.toFixed(2)}</strong>
+      </div>`);
+    syncCoupon(summary);
+  }
+
+  // Promo code box follows the applied code (it can also be dropped by the server)
+  function syncCoupon(summary) {
+    const applied = !!summary.discount;
+    $('#couponCode').prop('disabled', applied).val(applied ? summary.discount.code : $('#couponCode').val());
+    $('#applyCoupon').prop('hidden', applied);
+    $('#removeCoupon').prop('hidden', !applied);
+    if (summary.couponRemoved) {
+      $('#couponMessage').removeClass('text-success').addClass('text-danger').text(`Promo code removed - ${summary.couponRemoved}`);
+    }
+  }
+
+  async function couponRequest(method, body) {
+    const response = await fetch('/api/cart/coupon', {
+      method,
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const result = await response.json();
+    if (!response.ok) throw new Error(result.error || 'Could not update promo code');
+    return result;
+  }
+
+  $('#applyCoupon').on('click', function() {
+    const code = $('#couponCode').val().trim();
+    if (!code) return;
+    couponRequest('POST', { code, email: $('#email').val().trim() })
+      .then(result => {
+        $('#couponMessage').removeClass('text-danger').addClass('text-success')
+          .text(`${result.discount.code} applied - you save $${result.discount.amount.toFixed(2)}`);
+        return window.Cart.refresh(); // re-renders the summary through cart:change
+      })
+      .catch(err => $('#couponMessage').removeClass('text-success').addClass('text-danger').text(err.message));
+  });
+
+  $('#removeCoupon').on('click', function() {
+    couponRequest('DELETE')
+      .then(() => {
+        $('#couponCode').val('');
+        $('#couponMessage').text('');
+        return window.Cart.refresh();
+      })
+      .catch(err => $('#couponMessage').removeClass('text-success').addClass('text-danger').text(err.message));
+  });
+
+  $('#couponCode').on('keydown', function(e) {
+    if (e.key === 'Enter') {
+      e.preventDefault(); // do not submit the checkout form
+      $('#applyCoupon').click();
+    }
+  });
+
+  // "2 adults x $500.00, 1 child x $350.00" (views/partials/traveler_breakdown.ejs)
+  function describeTravelers(item) {
+    const t = item.travelers;
+    const fares = item.tierPrices;
+    const parts = [`${t.adults} adult${t.adults === 1 ? '' : 's'} \u00d7 $${fares.adult.toFixed(2)}`];
+    if (t.children) parts.push(`${t.children} ${t.children === 1 ? 'child' : 'children'} \u00d7 $${fares.child.toFixed(2)}`);
+    if (t.infants) parts.push(`${t.infants} infant${t.infants === 1 ? '' : 's'} \u00d7 ${fares.infant ? '$' + fares.infant.toFixed(2) : 'free'}`);
+    if (item.singleRooms) parts.push(`${item.singleRooms} single room${item.singleRooms === 1 ? '' : 's'} \u00d7 $${fares.singleSupplement.toFixed(2)}`);
+    return parts.join(', ');
+  }
+
+  function escapeHtml(str) {
+    return String(str || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  $('#country').on('change', refreshSummary);
+  // The mini-cart in the header can change quantities while on checkout
+  document.addEventListener('cart:change', refreshSummary);
+
 
   $('#checkoutForm').on('submit', function(e) {
     e.preventDefault();
@@ -35,6 +171,16 @@ $(document).ready(function() {
     }
   });
 
+  // Idempotency-Key of the current checkout attempt. Kept until the server has answered, so a
+  // double-click or a retry after a network error cannot place the order twice.
+  let idempotencyKey = null;
+
+  function newIdempotencyKey() {
+    if (window.crypto && window.crypto.randomUUID) return window.crypto.randomUUID();
+    const bytes = window.crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  }
+
   // Submit order with server-side validation
   async function submitOrder() {
     try {
@@ -43,37 +189,24 @@ $(document).ready(function() {
       const originalText = submitBtn.text();
       submitBtn.prop('disabled', true).text('Processing...');
 
-      // Get cart from localStorage or session
-      const cart = JSON.parse(localStorage.getItem('cart') || '[]');
-      
-      if (cart.length === 0) {
+      // Load the priced session cart with taxes and fees (server is authoritative for items and prices)
+      let cartResult;
+      try {
+        cartResult = await fetchSummary();
+        renderSummary(cartResult);
+      } catch (err) {
+        cartResult = null;
+      }
+
+      if (!cartResult || cartResult.items.length === 0) {
         alert('Your cart is empty. Please add items before checkout.');
         return;
       }
 
-      // Validate cart first
-      const cartValidation = await fetch('/api/cart/validate', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ cart })
-      });
-
-      const cartResult = await cartValidation.json();
-      
-      if (cartResult.hasChanges) {
-        let message = 'Your cart has been updated:\n';
-        if (cartResult.removedItems.length > 0) {
-          message += `\nRemoved items:\n${cartResult.removedItems.map(item => `- ${item.name}: ${item.reason}`).join('\n')}`;
-        }
-        if (cartResult.updatedItems.length > 0) {
-          message += `\nPrice updates:\n${cartResult.updatedItems.map(item => `- ${item.name}: $${item.oldPrice} → $${item.newPrice}`).join('\n')}`;
-        }
-        message += '\n\nPlease review your cart and try again.';
-        
-        alert(message);
-        
-        // Update localStorage with validated cart
-        localStorage.setItem('cart', JSON.stringify(cartResult.validatedCart));
+      const changes = cartResult.removedItems.concat(cartResult.adjustedItems);
+      if (cartResult.couponRemoved) changes.push({ reason: `Promo code removed - ${cartResult.couponRemoved}` });
+      if (changes.length > 0) {
+        alert(`Your cart has been updated:\n${changes.map(item => `- ${item.reason}`).join('\n')}\n\nPlease review your cart and try again.`);
         location.reload(); // Refresh to show updated cart
         return;
       }
@@ -88,8 +221,7 @@ $(document).ready(function() {
         postalCode: $('#postalCode').val().trim(),
         country: $('#country').val(),
         paymentMethod: $('input[name="paymentMethod"]:checked').val(),
-        items: cartResult.validatedCart,
-        totalAmount: cartResult.recalculatedTotal
+        totalAmount: cartResult.total
       };
 
       // Add card details if card payment selected
@@ -101,19 +233,31 @@ $(document).ready(function() {
       }
 
       // Submit order
+      if (!idempotencyKey) idempotencyKey = newIdempotencyKey();
       const response = await fetch('/api/orders', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', 'Idempotency-Key': idempotencyKey, 'X-CSRF-Token': csrfToken },
         body: JSON.stringify(formData)
       });
 
       const result = await response.json();
-
-      if (response.ok) {
-        // Clear cart and redirect to confirmation
-        localStorage.removeItem('cart');
-        alert('Order submitted successfully!');
-        window.location.href = `/order-confirmation/${result.orderId}`;
+      // The attempt got its answer - submitting again is a new attempt
+      // (409: the first request with this key is still being processed)
+      if (response.status !== 409) idempotencyKey = null;
+
+      if (response.ok && result.redirectUrl) {
+        // Card verification / PayPal approval happens on the provider's page,
+        // which sends the customer back to the confirmation when it is done
+        window.location.href = result.redirectUrl;
+      } else if (response.ok) {
+        // Server cleared the session cart; redirect to confirmation
+        alert(`Order ${result.orderNumber} submitted successfully!`);
+        // A replayed answer has no token; this session can open the page without it
+        const query = result.accessToken ? `?token=${encodeURIComponent(result.accessToken)}` : '';
+        window.location.href = `/order-confirmation/${result.orderId}${query}`;
+      } else if (response.status === 402) {
+        // Declined - nothing was booked, the cart is unchanged
+        alert(`${result.error}. Please check your details or choose another payment method.`);
       } else {
         // Show server validation errors
         if (result.details && Array.isArray(result.details)) {
@@ -0,0 +1,41 @@
+// Home page tour tiles: each link carries the slug of the tour it advertises.
+// The slugs are checked against GET /api/products/:idOrSlug so the shown price
+// matches the catalog, and a tour that no longer exists falls back to a search.
+(function () {
+  const links = Array.from(document.querySelectorAll('a[data-tour]'));
+  const lookups = {}; // one request per slug, shared by all links to it
+
+  function lookup(slug) {
+    if (!lookups[slug]) {
+      lookups[slug] = fetch('/api/products/' + encodeURIComponent(slug))
+        .then(res => (res.ok ? res.json().then(data => data.product) : null))
+        .catch(() => null);
+    }
+    return lookups[slug];
+  }
+
+  // The price is either inside the link or the span right after it
+  function priceElementFor(link) {
+    const inner = link.querySelector('.themecolor, .themecolortrip');
+    if (inner) return inner;
+    const next = link.nextElementSibling;
+    return next && next.classList.contains('themecolortrip') ? next : null;
+  }
+
+  links.forEach(link => {
+    lookup(link.getAttribute('data-tour')).then(product => {
+      if (product) {
+        link.href = '/products/' + encodeURIComponent(product.slug || product._id);
+        const priceEl = priceElementFor(link);
+        if (priceEl) priceEl.textContent = '$' + product.price;
+      } else {
+        // Text without the price, e.g. "Turkey"
+        const label = Array.from(link.childNodes)
+          .filter(node => node.nodeType === Node.TEXT_NODE)
+          .map(node => node.textContent.trim())
+          .join(' ');
+        link.href = '/products?q=' + encodeURIComponent(label);
+      }
+    });
+  });
+})();
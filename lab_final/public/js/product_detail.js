@@ -0,0 +1,65 @@
+// Product detail page: image gallery, traveler picker and the "Book now" button
+(function () {
+  const mainImg = document.getElementById('gallery-main');
+  const bookBtn = document.getElementById('book-now');
+  const pickerEl = document.getElementById('traveler-picker');
+  const totalEl = document.getElementById('booking-total');
+  const departureEl = document.getElementById('booking-departure'); // only for dated tours
+  const errorEl = document.getElementById('booking-error');
+
+  // Preselect the first departure that still has seats
+  if (departureEl && departureEl.selectedOptions[0] && departureEl.selectedOptions[0].disabled) {
+    const firstOpen = Array.from(departureEl.options).find(opt => !opt.disabled);
+    if (firstOpen) departureEl.value = firstOpen.value;
+  }
+
+  // Clicking a thumbnail shows it as the main image
+  document.querySelectorAll('[data-gallery-src]').forEach(btn => {
+    btn.addEventListener('click', () => {
+      mainImg.src = btn.getAttribute('data-gallery-src');
+    });
+  });
+
+  function tierValue(tier) {
+    const input = pickerEl.querySelector(`[data-tier="${tier}"]`);
+    const n = input ? parseInt(input.value) : 0;
+    return isNaN(n) || n < 0 ? 0 : n;
+  }
+
+  // Estimate only - the server prices the cart line the same way
+  function updateTotal() {
+    const option = departureEl && departureEl.selectedOptions[0];
+    const adult = parseFloat(option ? option.getAttribute('data-price') : pickerEl.getAttribute('data-adult-price'));
+    const childAttr = pickerEl.getAttribute('data-child-price');
+    const child = Math.min(childAttr === '' ? adult : parseFloat(childAttr), adult);
+    const infant = Math.min(parseFloat(pickerEl.getAttribute('data-infant-price')), adult);
+    const supplement = parseFloat(pickerEl.getAttribute('data-single-supplement'));
+    const total = tierValue('adults') * adult + tierValue('children') * child +
+      tierValue('infants') * infant + tierValue('singleRooms') * supplement;
+    totalEl.textContent = '$' + total.toFixed(2);
+  }
+
+  pickerEl.addEventListener('input', updateTotal);
+  if (departureEl) departureEl.addEventListener('change', updateTotal);
+  updateTotal();
+
+  // Book now = add to the cart and go straight to checkout
+  bookBtn.addEventListener('click', async () => {
+    errorEl.hidden = true;
+    bookBtn.disabled = true;
+    try {
+      const travelers = {
+        adults: tierValue('adults'),
+        children: tierValue('children'),
+        infants: tierValue('infants'),
+        singleRooms: tierValue('singleRooms')
+      };
+      await window.Cart.add({ _id: bookBtn.getAttribute('data-product-id') }, travelers, departureEl ? departureEl.value : null);
+      window.location.href = '/checkout';
+    } catch (err) {
+      errorEl.textContent = err.message;
+      errorEl.hidden = false;
+      bookBtn.disabled = false;
+    }
+  });
+})();
@@ -0,0 +1,282 @@
+// Frontend logic for the products catalog: fetches /api/products with pagination
+// and filters, and keeps the filter state in the URL query string so that
+// back/forward navigation and shared links restore the same view.
+(function () {
+  const listEl = document.getElementById('product-list');
+  const paginationEl = document.getElementById('pagination');
+  const searchEl = document.getElementById('filter-q');
+  const categoryEl = document.getElementById('filter-category');
+  const minEl = document.getElementById('filter-min');
+  const maxEl = document.getElementById('filter-max');
+  const sortEl = document.getElementById('filter-sort');
+  const applyBtn = document.getElementById('apply-filters');
+  const clearBtn = document.getElementById('clear-filters');
+
+  const DEFAULT_LIMIT = 12;
+
+  let state = { page: 1, limit: DEFAULT_LIMIT, q: '', category: '', minPrice: '', maxPrice: '', sort: '' };
+  // Categories from /api/categories (display names and order for the filter)
+  let categories = [];
+  // Products currently on screen, keyed by id (used by the add-to-cart buttons)
+  let productsById = {};
+
+  // Read catalog state from the current URL (?page=2&q=turkey&category=beach&minPrice=100...)
+  function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const page = parseInt(params.get('page'));
+    const limit = parseInt(params.get('limit'));
+    return {
+      page: page > 0 ? page : 1,
+      limit: limit > 0 ? Math.min(limit, 100) : DEFAULT_LIMIT,
+      q: params.get('q') || '',
+      category: params.get('category') || '',
+      minPrice: params.get('minPrice') || '',
+      maxPrice: params.get('maxPrice') || '',
+      sort: params.get('sort') || ''
+    };
+  }
+
+  // Build query string from state. Defaults are left out so URLs stay short.
+  function buildQuery(includeDefaults) {
+    const params = new URLSearchParams();
+    if (includeDefaults || state.page > 1) params.set('page', state.page);
+    if (includeDefaults || state.limit !== DEFAULT_LIMIT) params.set('limit', state.limit);
+    if (state.q) params.set('q', state.q);
+    if (state.category) params.set('category', state.category);
+    if (state.minPrice !== '') params.set('minPrice', state.minPrice);
+    if (state.maxPrice !== '') params.set('maxPrice', state.maxPrice);
+    if (state.sort) params.set('sort', state.sort);
+    return params.toString();
+  }
+
+  // Reflect state into the filter inputs
+  function syncInputs() {
+    searchEl.value = state.q;
+    categoryEl.value = state.category;
+    minEl.value = state.minPrice;
+    maxEl.value = state.maxPrice;
+    sortEl.value = state.sort;
+  }
+
+  // Read the filter inputs into state
+  function readInputs() {
+    state.q = searchEl.value.trim();
+    state.category = categoryEl.value;
+    state.minPrice = minEl.value.trim();
+    state.maxPrice = maxEl.value.trim();
+    state.sort = sortEl.value;
+  }
+
+  // Catalog URL for the current state (used for pushState/replaceState)
+  function urlForState() {
+    const q = buildQuery(false);
+    return window.location.pathname + (q ? '?' + q : '');
+  }
+
+  // Push the current state to the browser history (skipped when it is unchanged)
+  function pushState() {
+    const url = urlForState();
+    if (url !== window.location.pathname + window.location.search) {
+      history.pushState(state, '', url);
+    }
+  }
+
+  async function fetchProducts() {
+    try {
+      paginationEl.innerHTML = 'Loading...';
+      const res = await fetch('/api/products?' + buildQuery(true));
+      const data = await res.json();
+      if (!res.ok) throw new Error(data.error || 'Request failed');
+
+      // A shared link may point past the last page once filters narrow the results
+      if (data.pagination && state.page > data.pagination.totalPages) {
+        state.page = data.pagination.totalPages;
+        history.replaceState(state, '', urlForState());
+        return fetchProducts();
+      }
+
+      renderProducts(data.products);
+      renderPagination(data.pagination);
+      renderFacets(data.facets);
+    } catch (err) {
+      console.error(err);
+      listEl.innerHTML = '<p style="grid-column:1/-1;color:red">Failed to load products</p>';
+      paginationEl.innerHTML = '';
+    }
+  }
+
+  function renderProducts(products) {
+    productsById = {};
+    (products || []).forEach(p => { productsById[p._id] = p; });
+    if (!products || products.length === 0) {
+      listEl.innerHTML = '<p style="grid-column:1/-1;">No products found</p>';
+      return;
+    }
+    listEl.innerHTML = products.map(p => {
+      // Search results carry server-escaped HTML with <mark>-ed terms
+      const hl = p.highlights || {};
+      return `
+      <div class="product-card" style="border:1px solid #e0e0e0; padding:12px; border-radius:6px; background:#fff;">
+        <img src="${escapeHtml(p.image || '/images/home_tour_photo_1.jpg')}" alt="${escapeHtml(p.name)}" style="width:100%; height:150px; object-fit:cover; border-radius:4px;">
+        <h4 style="margin:8px 0 4px"><a class="product-card-link" href="/products/${encodeURIComponent(p.slug || p._id)}">${hl.name || escapeHtml(p.name)}</a></h4>
+        <div style="color:#555; font-size:14px; margin-bottom:8px">${hl.category || escapeHtml(p.category)} - <b>$${formatPrice(p.price)}</b></div>
+        <p style="font-size:13px; color:#666; min-height:40px">${hl.description || escapeHtml(p.description || '')}</p>
+        ${p.requiresDeparture ? `
+        <div class="add-to-cart">
+          <a class="choose-date" href="/products/${encodeURIComponent(p.slug || p._id)}">Choose a date</a>
+        </div>` : `
+        <div class="add-to-cart">
+          <input type="number" min="1" max="20" value="1" aria-label="Quantity" data-qty-for="${escapeHtml(p._id)}">
+          <button type="button" data-add-to-cart="${escapeHtml(p._id)}">Add to cart</button>
+        </div>`}
+      </div>
+    `;
+    }).join('');
+  }
+
+  // Category options with counts ("Beach (2)") and price input bounds from the facets.
+  // Options follow the admin-defined categories; counts come from the facets.
+  function renderFacets(facets) {
+    if (!facets) return;
+    const counts = {};
+    facets.categories.forEach(c => { counts[c.value] = c.count; });
+    const options = categories.map(c => ({ value: c.slug, label: c.name }));
+    // Facet values without a category document, and the selected category, stay visible
+    facets.categories.concat(state.category ? [{ value: state.category }] : []).forEach(c => {
+      if (!options.some(o => o.value === c.value)) options.push({ value: c.value, label: capitalize(c.value) });
+    });
+    const total = facets.categories.reduce((sum, c) => sum + c.count, 0);
+    categoryEl.innerHTML = `<option value="">All (${total})</option>` + options.map(o => `
+      <option value="${escapeHtml(o.value)}">${escapeHtml(o.label)} (${counts[o.value] || 0})</option>
+    `).join('');
+    categoryEl.value = state.category;
+
+    const { min, max } = facets.priceRange;
+    [minEl, maxEl].forEach(el => {
+      el.min = min !== null ? Math.floor(min) : '';
+      el.max = max !== null ? Math.ceil(max) : '';
+    });
+    minEl.placeholder = min !== null ? Math.floor(min) : '0';
+    maxEl.placeholder = max !== null ? Math.ceil(max) : '99999';
+  }
+
+  function renderPagination(pagination) {
+    if (!pagination) { paginationEl.innerHTML = ''; return; }
+    const { page, totalPages, totalCount } = pagination;
+    const prevDisabled = page <= 1 ? 'disabled' : '';
+    const nextDisabled = page >= totalPages ? 'disabled' : '';
+
+    let html = '';
+    html += `<button ${prevDisabled} data-page="${page - 1}">Prev</button>`;
+    // Show a small window of page numbers around the current page
+    const start = Math.max(1, page - 2);
+    const end = Math.min(totalPages, page + 2);
+    for (let i = start; i <= end; i++) {
+      html += `<button class="page-btn" ${i === page ? 'disabled' : ''} data-page="${i}">${i}</button>`;
+    }
+    html += `<button ${nextDisabled} data-page="${page + 1}">Next</button>`;
+    html += `<span style="color:#777; font-size:13px; margin-left:8px">Page ${page} of ${totalPages} (${totalCount} tours)</span>`;
+
+    paginationEl.innerHTML = html;
+  }
+
+  // Single delegated handler so re-rendering the pagination does not stack listeners
+  paginationEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-page]');
+    if (!btn || btn.disabled) return;
+    const p = parseInt(btn.getAttribute('data-page'));
+    if (!isNaN(p) && p > 0) {
+      state.page = p;
+      pushState();
+      fetchProducts();
+      window.scrollTo({ top: 0, behavior: 'smooth' });
+    }
+  });
+
+  // Add to cart (delegated, the grid is re-rendered on every fetch)
+  listEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('button[data-add-to-cart]');
+    if (!btn || !window.Cart) return;
+    const id = btn.getAttribute('data-add-to-cart');
+    const product = productsById[id];
+    if (!product) return;
+    const qtyEl = listEl.querySelector(`input[data-qty-for="${id}"]`);
+    btn.disabled = true;
+    window.Cart.add(product, qtyEl ? qtyEl.value : 1)
+      .then(() => {
+        if (qtyEl) qtyEl.value = 1;
+        btn.textContent = 'Added!';
+        btn.classList.add('added');
+        setTimeout(() => {
+          btn.textContent = 'Add to cart';
+          btn.classList.remove('added');
+        }, 1200);
+      })
+      .catch(err => alert(err.message))
+      .finally(() => { btn.disabled = false; });
+  });
+
+  applyBtn.addEventListener('click', () => {
+    readInputs();
+    state.page = 1;
+    pushState();
+    fetchProducts();
+  });
+
+  clearBtn.addEventListener('click', () => {
+    state = { page: 1, limit: state.limit, q: '', category: '', minPrice: '', maxPrice: '', sort: '' };
+    syncInputs();
+    pushState();
+    fetchProducts();
+  });
+
+  // Changing the sort order applies immediately
+  sortEl.addEventListener('change', () => applyBtn.click());
+
+  // Enter in the search or a price input applies the filters
+  [searchEl, minEl, maxEl].forEach(el => el.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') applyBtn.click();
+  }));
+
+  // Back/forward: restore state from the URL and reload
+  window.addEventListener('popstate', () => {
+    state = readStateFromUrl();
+    syncInputs();
+    fetchProducts();
+  });
+
+  function capitalize(str) {
+    const s = String(str || '');
+    return s.charAt(0).toUpperCase() + s.slice(1);
+  }
+
+  function formatPrice(value) {
+    const n = Number(value);
+    return isNaN(n) ? '' : (Number.isInteger(n) ? String(n) : n.toFixed(2));
+  }
+
+  function escapeHtml(str) {
+    if (!str) return '';
+    return String(str)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#039;');
+  }
+
+  async function fetchCategories() {
+    try {
+      const res = await fetch('/api/categories');
+      const data = await res.json();
+      if (res.ok) categories = data.categories;
+    } catch (err) {
+      console.error(err); // the filter falls back to the raw facet values
+    }
+  }
+
+  // initial load from the URL (shared links / refresh)
+  state = readStateFromUrl();
+  syncInputs();
+  fetchCategories().then(fetchProducts);
+})();
@@ -5,20 +5,50 @@ const mongoose = require('mongoose');
 
 const Product = require('./models/Product');
 const Order = require('./models/Order');
+const Category = require('./models/Category');
+const Departure = require('./models/Departure');
+const Coupon = require('./models/Coupon');
+const Customer = require('./models/Customer');
+const AdminUser = require('./models/AdminUser');
+const AuditEvent = require('./models/AuditEvent');
 const session = require('express-session');
-const { checkCartNotEmpty, adminOnly } = require('./middleware/auth');
+const { checkCartNotEmpty, adminOnly, requirePermission, customerOnly, isAuthTestMode } = require('./middleware/auth');
+const { idempotentRequest } = require('./middleware/idempotency');
+const { csrfProtection } = require('./middleware/csrf');
+const slugify = require('./utils/slugify');
+const { calculateCharges, countryOptions, isKnownCountry, roundMoney } = require('./utils/charges');
+const { getProvider, providers: paymentProviders } = require('./payments');
+const { withTransaction } = require('./utils/transaction');
+const { recordAudit } = require('./utils/audit');
+const analytics = require('./utils/analytics');
+const { roles } = require('./config/roles');
+const { newToken, hashToken, tokenMatches } = require('./utils/tokens');
+const { sendMail } = require('./utils/mailer');
+const { hashPassword, verifyPassword, passwordProblem } = require('./utils/passwords');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Allow JSON parsing for API endpoints (not strictly required for GET/seed but useful later)
-app.use(express.json());
+// Allow JSON parsing for API endpoints (not strictly required for GET/seed but useful later).
+// The raw body is kept for payment webhook signature checks.
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
-// MongoDB connection
-const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/we-travel';
-mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true })
-  .then(() => console.log('Connected to MongoDB'))
-  .catch(err => console.error('MongoDB connection error:', err));
+// The first admin account (an owner) comes from ADMIN_EMAIL / ADMIN_PASSWORD; they are only
+// read while there is no admin at all, later admins are added on /admin/staff
+async function ensureFirstAdmin() {
+  if (await AdminUser.exists({})) return;
+  const { ADMIN_EMAIL, ADMIN_PASSWORD } = process.env;
+  if (!ADMIN_EMAIL || passwordProblem(ADMIN_PASSWORD)) {
+    console.warn('No admin account yet - start the server with ADMIN_EMAIL and ADMIN_PASSWORD (8+ characters) to create one');
+    return;
+  }
+  await AdminUser.create({ email: ADMIN_EMAIL, role: 'owner', passwordHash: await hashPassword(ADMIN_PASSWORD) });
+  console.log(`Created owner admin account ${ADMIN_EMAIL}`);
+}
+
+if (isAuthTestMode()) {
+  console.warn('ADMIN_AUTH_TEST_MODE is on: x-user-email / ?email= log in as any admin. Never use this outside tests.');
+}
 
 // Use EJS as view engine
 app.set('views', path.join(__dirname, 'views'));
@@ -39,103 +69,259 @@ app.use(session({
   cookie: { maxAge: 1000 * 60 * 60 * 24 } // 1 day
 }));
 
+// Logged-in customer (or null) for the storefront header
+app.use((req, res, next) => {
+  res.locals.currentCustomer = req.session.customerId
+    ? { id: req.session.customerId, name: req.session.customerName }
+    : null;
+  next();
+});
+
+// Every POST/PUT/PATCH/DELETE must carry the session's CSRF token. Payment webhooks come
+// from the provider, not a browser, and are checked by their signature instead.
+app.use(csrfProtection({ exempt: ['/api/payments/webhook/'] }));
+
+// Provider pages (e.g. the mock gateway's 3-D Secure screen) live under /payments/<name>
+Object.values(paymentProviders).forEach(provider => {
+  if (provider.router) app.use(`/payments/${provider.name}`, provider.router);
+});
+
 // Routes - render EJS views
 app.get('/', (req, res) => res.render('index'));
 app.get('/resumecv', (req, res) => res.render('resumecv'));
 app.get('/contactus', (req, res) => res.render('contactus'));
-// Checkout page - protected by server-side cart presence
-app.get('/checkout', checkCartNotEmpty, (req, res) => res.render('checkout'));
+// Checkout page - protected by server-side cart presence.
+// The order summary is rendered from the session cart; checkout.js refreshes it when the country changes.
+app.get('/checkout', checkCartNotEmpty, async (req, res) => {
+  try {
+    // A logged-in customer gets the form prefilled from their saved profiles
+    const customer = req.session.customerId ? await Customer.findById(req.session.customerId).lean() : null;
+    const profile = customer ? Customer.checkoutProfile(customer) : null;
+    const prefill = customer ? { email: customer.email, fullName: customer.name, ...(profile || {}) } : {};
+
+    const summary = await buildCheckoutSummary(req, isKnownCountry(prefill.country) ? prefill.country : '');
+    if (summary.items.length === 0) return res.redirect('/cart-empty'); // everything was pruned
+    res.render('checkout', {
+      summary,
+      countries: countryOptions(),
+      prefill,
+      profiles: customer ? customer.profiles : [],
+      paymentFailed: req.query.payment === 'failed' // back from a declined 3-D Secure/PayPal step
+    });
+  } catch (err) {
+    console.error('Checkout page error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+/**
+ * CART CATALOG LOOKUP
+ * 
+ * Loads everything needed to price a list of cart items in three queries:
+ * the products, the departures the items point at, and which of the products
+ * are dated tours (have any departures at all, so a line must name one).
+ * 
+ * @param {Array} items - Cart items [{ product, departure?, quantity }]
+ * @returns {Object} - { productsById: Map, departuresById: Map, datedProducts: Set }
+ */
+async function loadCartCatalog(items) {
+  const productIds = [...new Set(items.map(item => String(item.product)))]
+    .filter(id => mongoose.isValidObjectId(id));
+  const departureIds = [...new Set(items.filter(item => item.departure).map(item => String(item.departure)))]
+    .filter(id => mongoose.isValidObjectId(id));
+
+  const [products, departures, datedProducts] = await Promise.all([
+    Product.find({ _id: { $in: productIds } }).lean(),
+    Departure.find({ _id: { $in: departureIds } }).lean(),
+    Departure.distinct('product', { product: { $in: productIds } })
+  ]);
+
+  return {
+    productsById: new Map(products.map(p => [p._id.toString(), p])),
+    departuresById: new Map(departures.map(d => [d._id.toString(), d])),
+    datedProducts: new Set(datedProducts.map(id => id.toString()))
+  };
+}
+
+function formatDepartureDate(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+/**
+ * Why a cart line cannot be bought as it stands, or null when it can.
+ * Shared by validateAndRecalculateCart (which rejects the cart) and
+ * buildCartResponse (which repairs the session cart and tells the customer).
+ * 
+ * @returns {Object|null} - { message, reason, remove, seatsLeft? }
+ *   message: error text, reason: customer-facing text,
+ *   remove: whether the line has to go (false = quantity can be lowered to seatsLeft)
+ */
+function cartLineProblem(item, catalog, now) {
+  const product = catalog.productsById.get(String(item.product));
+  if (!product) {
+    return { message: `Product not found: ${item.product}`, reason: 'Product no longer available', remove: true };
+  }
+
+  if (!item.departure) {
+    // Open-dated products (no departures defined) can be bought without a date
+    if (!catalog.datedProducts.has(product._id.toString())) return null;
+    const reason = `Choose a departure date for ${product.name}`;
+    return { message: `Departure unavailable: ${reason}`, reason, remove: true };
+  }
+
+  const departure = catalog.departuresById.get(String(item.departure));
+  if (!departure || departure.product.toString() !== product._id.toString()) {
+    const reason = `The selected ${product.name} departure no longer exists`;
+    return { message: `Departure unavailable: ${reason}`, reason, remove: true };
+  }
+  const when = formatDepartureDate(departure.date);
+  if (departure.date <= now) {
+    const reason = `${product.name} on ${when} has already departed`;
+    return { message: `Departure unavailable: ${reason}`, reason, remove: true };
+  }
+  const seatsLeft = Departure.seatsAvailable(departure);
+  if (seatsLeft === 0) {
+    const reason = `${product.name} on ${when} is sold out`;
+    return { message: `Departure unavailable: ${reason}`, reason, remove: true };
+  }
+  if (item.quantity > seatsLeft) {
+    const reason = `Only ${seatsLeft} seat(s) left for ${product.name} on ${when}`;
+    return { message: `Departure unavailable: ${reason}`, reason, remove: false, seatsLeft };
+  }
+  return null;
+}
 
 /**
  * CART VALIDATION AND RECALCULATION FUNCTION
  * 
- * This critical function ensures cart integrity by:
- * 1. Validating all cart items have required fields (name, quantity, price)
- * 2. Preventing duplicate products (same product ID or name)
+ * The session cart only ever stores { product, departure, quantity, travelers, singleRooms }
+ * entries. This function is the single place where cart lines get their name and price,
+ * so every total the customer sees (mini-cart, checkout, order) is computed from the database:
+ * 1. Validating all cart items reference a product and carry a quantity
+ * 2. Preventing duplicate lines (same product and departure)
  * 3. Validating quantities are positive integers
- * 4. Cross-referencing product IDs with database to ensure they exist
- * 5. Using database prices instead of client-provided prices (security)
- * 6. Recalculating total based on validated data
+ * 4. Validating the traveler breakdown (see travelersProblem) adds up to the quantity
+ * 5. Cross-referencing products and departures with the database
+ * 6. Rejecting missing, past and sold-out departures (see cartLineProblem)
+ * 7. Pricing each tier from the database - a departure's priceOverride replaces the
+ *    adult fare, child/infant fares and the single supplement come from product.pricing
+ * 8. Applying the coupon, if any: its rules are checked (see couponProblem) and the
+ *    discount is spread over the qualifying lines as item.discount
+ * 9. Recalculating total based on validated data (after the discount)
+ * 
+ * Seats and coupon uses are only checked here, not taken; POST /api/orders takes them atomically.
  * 
- * @param {Array} items - Array of cart items to validate
- * @returns {Object} - { validatedItems: Array, recalculatedTotal: Number }
+ * @param {Array} items - Array of { product, departure?, quantity, travelers?, singleRooms? } cart items to validate
+ * @param {Object} [catalog] - Result of loadCartCatalog(items) when the caller already has it
+ * @param {Object} [coupon] - Coupon (lean) to apply to the cart
+ * @returns {Object} - { validatedItems: Array, recalculatedTotal: Number, discount: Object|null }
  * @throws {Error} - Descriptive error for any validation failure
  */
-async function validateAndRecalculateCart(items) {
+async function validateAndRecalculateCart(items, catalog, coupon) {
   try {
     const validatedItems = [];
     let recalculatedTotal = 0;
-    const seenProducts = new Set(); // Prevents duplicate products in single cart
+    const seenLines = new Set(); // Prevents duplicate lines in single cart
     
-    // Validate each cart item individually
+    // Validate each cart item's shape before touching the database
     for (const item of items) {
-      // Basic field validation - all items must have name, quantity, and price
-      if (!item.name || !item.quantity || !item.price) {
+      // Basic field validation - all items must reference a product and have a quantity
+      if (!item || !item.product || !item.quantity) {
         throw new Error('Invalid cart item: missing required fields');
       }
+      if (!mongoose.isValidObjectId(item.product)) {
+        throw new Error(`Invalid cart item: bad product id ${item.product}`);
+      }
+      if (item.departure && !mongoose.isValidObjectId(item.departure)) {
+        throw new Error(`Invalid cart item: bad departure id ${item.departure}`);
+      }
       
-      // Duplicate prevention: Use product ID if available, otherwise use name
-      const productKey = item.product ? item.product.toString() : item.name;
-      if (seenProducts.has(productKey)) {
-        throw new Error(`Duplicate product in cart: ${item.name}`);
+      // Duplicate prevention by product + departure
+      const lineKey = cartLineId(item);
+      if (seenLines.has(lineKey)) {
+        throw new Error(`Duplicate product in cart: ${lineKey}`);
       }
-      seenProducts.add(productKey);
+      seenLines.add(lineKey);
       
       // Quantity validation: Must be positive integer (no fractional quantities)
       if (item.quantity <= 0 || !Number.isInteger(item.quantity)) {
-        throw new Error(`Invalid quantity for ${item.name}: must be a positive integer`);
+        throw new Error(`Invalid quantity for ${lineKey}: must be a positive integer`);
+      }
+      
+      // Traveler breakdown must follow the tier rules and account for every seat
+      const travelers = lineTravelers(item);
+      const travelerProblem = travelersProblem(travelers, item.singleRooms || 0);
+      if (travelerProblem) {
+        throw new Error(`Invalid travelers for ${lineKey}: ${travelerProblem}`);
+      }
+      if (travelerCount(travelers) !== item.quantity) {
+        throw new Error(`Invalid travelers for ${lineKey}: breakdown does not match quantity`);
+      }
+    }
+    
+    // Cross-reference products and departures with the database
+    if (!catalog) {
+      try {
+        catalog = await loadCartCatalog(items);
+      } catch (dbError) {
+        throw new Error(`Database error validating cart: ${dbError.message}`);
+      }
+    }
+    
+    const now = new Date();
+    for (const item of items) {
+      const problem = cartLineProblem(item, catalog, now);
+      if (problem) {
+        throw new Error(problem.message);
       }
+      const product = catalog.productsById.get(String(item.product));
+      const departure = item.departure ? catalog.departuresById.get(String(item.departure)) : null;
       
-      // Initialize validated item structure
-      let validatedItem = {
-        name: item.name,
+      // SECURITY: Canonical name and current database fares
+      const adultPrice = departure && departure.priceOverride != null ? departure.priceOverride : product.price;
+      const tierPrices = Product.tierPrices(product, adultPrice);
+      const travelers = lineTravelers(item);
+      const singleRooms = item.singleRooms || 0;
+      const validatedItem = {
+        product: product._id,
+        name: product.name,
+        category: product.category,
         quantity: item.quantity,
-        price: 0 // Will be set from database or validated client price
+        price: adultPrice,
+        travelers,
+        singleRooms,
+        tierPrices,
+        lineTotal: travelers.adults * tierPrices.adult +
+          travelers.children * tierPrices.child +
+          travelers.infants * tierPrices.infant +
+          singleRooms * tierPrices.singleSupplement
       };
-      
-      // Database validation for products with IDs
-      if (item.product) {
-        try {
-          // Cross-reference with database to ensure product still exists
-          const product = await Product.findById(item.product).lean();
-          if (!product) {
-            throw new Error(`Product not found: ${item.name}`);
-          }
-          
-          // SECURITY: Use database price, not client-provided price
-          // This prevents price manipulation attacks
-          validatedItem.product = item.product;
-          validatedItem.name = product.name; // Use canonical name from database
-          validatedItem.price = product.price; // Use current database price
-        } catch (dbError) {
-          // Handle database errors (network issues, invalid ObjectId, etc.)
-          if (dbError.message.includes('Product not found')) {
-            throw dbError; // Re-throw our custom error
-          }
-          throw new Error(`Database error validating product ${item.name}: ${dbError.message}`);
-        }
-      } else {
-        // For manual items without product IDs, validate price reasonableness
-        if (item.price <= 0 || item.price > 10000) {
-          throw new Error(`Invalid price for ${item.name}: ${item.price}`);
-        }
-        validatedItem.price = item.price;
+      if (departure) {
+        validatedItem.departure = departure._id;
+        validatedItem.departureDate = departure.date;
       }
       
       // Add validated item and update running total
       validatedItems.push(validatedItem);
-      recalculatedTotal += validatedItem.price * validatedItem.quantity;
+      recalculatedTotal += validatedItem.lineTotal;
+    }
+    
+    // Discount lines from the coupon
+    let discount = null;
+    if (coupon) {
+      const problem = couponProblem(coupon, validatedItems, now);
+      if (problem) {
+        throw new Error(`Coupon not applicable: ${problem}`);
+      }
+      discount = applyCoupon(coupon, validatedItems);
+      recalculatedTotal -= discount.amount;
     }
     
-    return { validatedItems, recalculatedTotal };
+    return { validatedItems, recalculatedTotal, discount };
     
   } catch (error) {
     // Wrap any unexpected errors with context
-    if (error.message.includes('Invalid cart item') || 
-        error.message.includes('Duplicate product') || 
-        error.message.includes('Invalid quantity') || 
-        error.message.includes('Product not found') ||
-        error.message.includes('Invalid price')) {
+    if (isCartValidationError(error)) {
       throw error; // Re-throw our custom validation errors
     }
     
@@ -145,165 +331,487 @@ async function validateAndRecalculateCart(items) {
   }
 }
 
+// Errors thrown by validateAndRecalculateCart that are safe to show the customer
+function isCartValidationError(err) {
+  return err.message.includes('Invalid cart item') ||
+    err.message.includes('Duplicate product') ||
+    err.message.includes('Invalid quantity') ||
+    err.message.includes('Invalid travelers') ||
+    err.message.includes('Product not found') ||
+    err.message.includes('Departure unavailable') ||
+    err.message.includes('Coupon not applicable');
+}
+
+/**
+ * COUPONS
+ * 
+ * The applied code lives in req.session.couponCode and is priced together with the
+ * cart by validateAndRecalculateCart. couponProblem holds every rule that does not
+ * depend on who is buying; the per-email limit needs the checkout email and is
+ * checked separately (couponEmailProblem).
+ */
+function normalizeCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+// Lines a coupon applies to (every line when it has no category/product scope)
+function couponEligibleLines(coupon, validatedItems) {
+  const products = (coupon.products || []).map(String);
+  const categories = coupon.categories || [];
+  if (!products.length && !categories.length) return validatedItems;
+  return validatedItems.filter(item => products.includes(String(item.product)) || categories.includes(item.category));
+}
+
+// Why a coupon cannot be used on these priced lines, or null when it can
+function couponProblem(coupon, validatedItems, now) {
+  if (!coupon.active) return 'this code is no longer active';
+  if (coupon.startsAt && coupon.startsAt > now) return 'this code is not valid yet';
+  if (coupon.endsAt && coupon.endsAt <= now) return 'this code has expired';
+  if (coupon.maxUses != null && coupon.timesUsed >= coupon.maxUses) return 'this code has been fully redeemed';
+  const subtotal = validatedItems.reduce((sum, item) => sum + item.lineTotal, 0);
+  if (subtotal < (coupon.minOrderValue || 0)) {
+    return `the minimum order for this code is $${coupon.minOrderValue.toFixed(2)}`;
+  }
+  if (couponEligibleLines(coupon, validatedItems).length === 0) return 'no items in your cart qualify for this code';
+  return null;
+}
+
+// Per-email limit: orders by this email with the code that were not cancelled or refunded
+async function couponEmailProblem(coupon, email) {
+  if (coupon.maxUsesPerEmail == null || !email) return null;
+  const used = await Order.countDocuments({
+    email: String(email).toLowerCase().trim(),
+    'discount.code': coupon.code,
+    status: { $nin: Order.CLOSED_STATUSES }
+  });
+  return used >= coupon.maxUsesPerEmail ? 'you have already used this code' : null;
+}
+
+/**
+ * Work out a coupon's discount on the qualifying lines and spread it over them
+ * (item.discount, in proportion to the line totals) so every line shows its saving.
+ * @returns {Object} { coupon, code, description, type, value, amount }
+ */
+function applyCoupon(coupon, validatedItems) {
+  const lines = couponEligibleLines(coupon, validatedItems);
+  const eligibleTotal = lines.reduce((sum, item) => sum + item.lineTotal, 0);
+  const amount = roundMoney(coupon.type === 'percent'
+    ? eligibleTotal * coupon.value / 100
+    : Math.min(coupon.value, eligibleTotal));
+  let remaining = amount;
+  lines.forEach((item, i) => {
+    const share = i === lines.length - 1 || !eligibleTotal
+      ? remaining
+      : roundMoney(amount * item.lineTotal / eligibleTotal);
+    item.discount = Math.max(0, Math.min(share, remaining));
+    remaining = roundMoney(remaining - item.discount);
+  });
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    description: coupon.description,
+    type: coupon.type,
+    value: coupon.value,
+    amount
+  };
+}
+
 /**
- * CART SYNCHRONIZATION ENDPOINT - POST /api/cart/sync
+ * SERVER-AUTHORITATIVE CART API
+ * 
+ * The cart lives in req.session.cart as [{ product, departure?, quantity, travelers,
+ * singleRooms }]. Clients never send names or prices; they only add, update and remove
+ * lines, and every response is priced through validateAndRecalculateCart.
  * 
- * ISSUE FIXED: Session initialization bug
- * PROBLEM: If session didn't exist, cart sync would fail silently
- * SOLUTION: Ensure session exists before accessing session.cart
+ * A line is identified by its lineId: the product ID, plus "_<departureId>" for
+ * dated tours (the same tour on two dates is two lines).
  * 
- * This endpoint synchronizes client-side cart (localStorage) with server-side
- * session cart. This is crucial for maintaining cart state across requests
- * and enabling server-side cart validation.
+ * Travelers are sent as { adults, children, infants } plus singleRooms (adults paying
+ * the single-room supplement). A plain quantity means that many adults; quantity on a
+ * line is always the total number of travelers, i.e. seats.
+ * 
+ * ROUTES:
+ * - GET    /api/cart                  - Current cart with prices and total
+ * - POST   /api/cart/items            - Add a product { productId, departureId?, quantity | travelers, singleRooms? }
+ * - PATCH  /api/cart/items/:lineId    - Set quantity { quantity } (changes adults) or { travelers, singleRooms? }
+ * - DELETE /api/cart/items/:lineId    - Remove a line
+ * - DELETE /api/cart                  - Empty the cart
+ * - POST   /api/cart/coupon           - Apply a promo code { code, email? }
+ * - DELETE /api/cart/coupon           - Remove the promo code
+ * 
+ * Every route answers with the same payload:
+ * { items: [{ lineId, product, departure?, departureDate?, name, category, price, quantity,
+ *             travelers, singleRooms, tierPrices, lineTotal, discount? }],
+ *   subtotal, discount, total, count, removedItems, adjustedItems, couponRemoved }
+ */
+const MAX_CART_QUANTITY = 20;
+
+// Session cart accessor - always returns an array stored on the session
+function getSessionCart(req) {
+  if (!Array.isArray(req.session.cart)) {
+    req.session.cart = [];
+  }
+  return req.session.cart;
+}
+
+function cartLineId(item) {
+  return item.departure ? `${item.product}_${item.departure}` : String(item.product);
+}
+
+// Parse a quantity from a request body; returns null when it is not a valid integer in range
+function parseCartQuantity(value) {
+  const quantity = Number(value);
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_CART_QUANTITY) {
+    return null;
+  }
+  return quantity;
+}
+
+const TRAVELER_TIERS = ['adults', 'children', 'infants'];
+
+// Traveler breakdown of a cart line; lines added with a plain quantity are all adults
+function lineTravelers(item) {
+  const travelers = item.travelers || { adults: item.quantity };
+  return { adults: travelers.adults || 0, children: travelers.children || 0, infants: travelers.infants || 0 };
+}
+
+function travelerCount(travelers) {
+  return travelers.adults + travelers.children + travelers.infants;
+}
+
+// Why a traveler breakdown is not bookable, or null when it is
+function travelersProblem(travelers, singleRooms) {
+  if (TRAVELER_TIERS.some(tier => !Number.isInteger(travelers[tier]) || travelers[tier] < 0)) {
+    return 'traveler counts must be whole numbers';
+  }
+  if (travelers.adults < 1) return 'at least one adult is required';
+  if (travelers.infants > travelers.adults) return 'each infant must travel with an adult';
+  if (!Number.isInteger(singleRooms) || singleRooms < 0 || singleRooms > travelers.adults) {
+    return 'single rooms cannot exceed the number of adults';
+  }
+  if (travelerCount(travelers) > MAX_CART_QUANTITY) {
+    return `at most ${MAX_CART_QUANTITY} travelers per booking`;
+  }
+  return null;
+}
+
+// Read { adults, children, infants } from a request body (missing tiers count as 0)
+function parseTravelers(value) {
+  const travelers = {};
+  TRAVELER_TIERS.forEach(tier => {
+    travelers[tier] = value[tier] === undefined || value[tier] === '' ? 0 : Number(value[tier]);
+  });
+  return travelers;
+}
+
+// Shrink a breakdown to fit `seats`, keeping adults first and at most one infant per adult
+function fitTravelers(travelers, seats) {
+  const adults = Math.min(travelers.adults, seats);
+  const children = Math.min(travelers.children, seats - adults);
+  const infants = Math.min(travelers.infants, seats - adults - children, adults);
+  return { adults, children, infants };
+}
+
+// Store a breakdown on a session cart line, keeping quantity in step
+function setLineTravelers(item, travelers, singleRooms) {
+  item.travelers = travelers;
+  item.singleRooms = Math.min(singleRooms, travelers.adults);
+  item.quantity = travelerCount(travelers);
+}
+
+/**
+ * Price the session cart and build the API response.
+ * Lines that can no longer be bought (deleted product, past or sold-out departure)
+ * are dropped from the session and reported in removedItems; lines asking for more
+ * seats than are left are lowered and reported in adjustedItems. A coupon that no
+ * longer applies is dropped and reported in couponRemoved.
+ */
+async function buildCartResponse(req) {
+  const cart = getSessionCart(req);
+  // Every storefront page asks for the cart - skip the database for empty carts
+  if (cart.length === 0) {
+    return { items: [], subtotal: 0, discount: null, total: 0, count: 0, removedItems: [], adjustedItems: [], couponRemoved: null };
+  }
+
+  const [catalog, coupon] = await Promise.all([
+    loadCartCatalog(cart),
+    req.session.couponCode ? Coupon.findOne({ code: req.session.couponCode }).lean() : null
+  ]);
+  const now = new Date();
+  const removedItems = [];
+  const adjustedItems = [];
+  const kept = [];
+  for (const item of cart) {
+    const problem = cartLineProblem(item, catalog, now);
+    if (problem && problem.remove) {
+      removedItems.push({ lineId: cartLineId(item), product: item.product, reason: problem.reason });
+      continue;
+    }
+    if (problem) {
+      adjustedItems.push({ lineId: cartLineId(item), product: item.product, quantity: problem.seatsLeft, reason: problem.reason });
+      setLineTravelers(item, fitTravelers(lineTravelers(item), problem.seatsLeft), item.singleRooms || 0);
+    }
+    kept.push(item);
+  }
+  if (kept.length !== cart.length) {
+    req.session.cart = kept;
+  }
+
+  let couponRemoved = null;
+  if (req.session.couponCode && !coupon) {
+    couponRemoved = `${req.session.couponCode} no longer exists`;
+    delete req.session.couponCode;
+  }
+  let priced;
+  try {
+    priced = await validateAndRecalculateCart(req.session.cart, catalog, coupon);
+  } catch (err) {
+    if (!coupon || !err.message.startsWith('Coupon not applicable')) throw err;
+    couponRemoved = `${coupon.code}: ${err.message.replace('Coupon not applicable: ', '')}`;
+    delete req.session.couponCode;
+    priced = await validateAndRecalculateCart(req.session.cart, catalog);
+  }
+
+  const { validatedItems, recalculatedTotal, discount } = priced;
+  return {
+    items: validatedItems.map(item => ({ lineId: cartLineId(item), ...item })),
+    subtotal: roundMoney(validatedItems.reduce((sum, item) => sum + item.lineTotal, 0)),
+    discount: discount && { code: discount.code, description: discount.description, amount: discount.amount },
+    total: roundMoney(recalculatedTotal),
+    count: validatedItems.reduce((sum, item) => sum + item.quantity, 0),
+    removedItems,
+    adjustedItems,
+    couponRemoved
+  };
+}
+
+/**
+ * CHECKOUT TOTALS
  * 
- * WHY SESSIONS ARE USED FOR CART:
- * 1. Persistence - Cart survives page refreshes and navigation
- * 2. Server validation - Server can validate cart before checkout
- * 3. Security - Server controls cart contents, not just client
- * 4. Cross-tab sync - Multiple tabs share same cart
- * 5. Checkout protection - Middleware can check cart exists
+ * Subtotal, coupon discount, taxes/fees (config/charges.js, keyed by country) and
+ * grand total for priced cart lines. The checkout summary and POST /api/orders both
+ * call this, so the total the customer is shown is the total stored on the order.
+ * Taxes and fees are worked out on the discounted subtotal.
  * 
- * CART CLEANING FEATURES:
- * - Removes invalid items (missing required fields)
- * - Merges duplicate products by summing quantities
- * - Ensures quantities are positive integers
- * - Validates against database prices
+ * @param {Array} validatedItems - Lines from validateAndRecalculateCart
+ * @param {string} [country] - Checkout country; blank = no taxes yet
+ * @returns {Object} { subtotal, discountAmount, charges: [{ code, label, kind, amount }], total }
  */
-app.post('/api/cart/sync', async (req, res) => {
+function checkoutTotals(validatedItems, country) {
+  const subtotal = roundMoney(validatedItems.reduce((sum, item) => sum + item.lineTotal, 0));
+  const discountAmount = roundMoney(validatedItems.reduce((sum, item) => sum + (item.discount || 0), 0));
+  const travelers = validatedItems.reduce((sum, item) => sum + item.quantity, 0);
+  const { charges, total } = calculateCharges(subtotal - discountAmount, travelers, country);
+  return { subtotal, discountAmount, charges, total };
+}
+
+// Cart payload plus checkout totals (total becomes the grand total)
+async function buildCheckoutSummary(req, country) {
+  const cart = await buildCartResponse(req);
+  return {
+    ...cart,
+    country: isKnownCountry(country) ? country : '',
+    ...checkoutTotals(cart.items, country)
+  };
+}
+
+// Shared error handler for the cart routes
+function handleCartError(res, err, context) {
+  if (isCartValidationError(err)) {
+    return res.status(400).json({ error: err.message });
+  }
+  console.error(context, err);
+  return res.status(500).json({ error: 'Could not update cart' });
+}
+
+// GET /api/cart - current priced cart
+app.get('/api/cart', async (req, res) => {
+  try {
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Get cart error');
+  }
+});
+
+// POST /api/cart/items - add a product (merges with an existing line for the same departure)
+app.post('/api/cart/items', async (req, res) => {
   try {
-    // BUGFIX: Ensure session exists before accessing properties
-    if (!req.session) {
-      return res.status(500).json({ error: 'Session not initialized' });
+    const body = req.body || {};
+    const productId = body.productId;
+    const departureId = body.departureId || null;
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return res.status(400).json({ error: 'A valid productId is required' });
     }
-    
-    const cart = req.body && req.body.cart;
-    if (!Array.isArray(cart)) {
-      return res.status(400).json({ error: 'cart must be an array' });
+    if (departureId && !mongoose.isValidObjectId(departureId)) {
+      return res.status(400).json({ error: 'Invalid departureId' });
     }
-    
-    // CART CLEANING ALGORITHM
-    const cleanedCart = [];
-    const seenProducts = new Set(); // Track products to prevent duplicates
-    
-    for (const item of cart) {
-      // Skip items with missing required fields
-      if (!item.name || !item.quantity || !item.price) {
-        continue; // Invalid items are silently removed
-      }
-      
-      // Create unique key for duplicate detection
-      const productKey = item.product ? item.product.toString() : item.name;
-      
-      // DUPLICATE HANDLING: Merge quantities instead of having duplicates
-      if (seenProducts.has(productKey)) {
-        const existingItem = cleanedCart.find(cartItem => 
-          (cartItem.product ? cartItem.product.toString() : cartItem.name) === productKey
-        );
-        if (existingItem) {
-          existingItem.quantity += item.quantity;
-        }
-      } else {
-        seenProducts.add(productKey);
-        cleanedCart.push({
-          ...item,
-          quantity: Math.max(1, Math.floor(item.quantity)) // Ensure positive integer
-        });
+
+    // Either a traveler breakdown or a plain quantity of adults
+    let travelers;
+    if (body.travelers && typeof body.travelers === 'object') {
+      travelers = parseTravelers(body.travelers);
+    } else {
+      const quantity = parseCartQuantity(body.quantity !== undefined ? body.quantity : 1);
+      if (quantity === null) {
+        return res.status(400).json({ error: `quantity must be an integer between 1 and ${MAX_CART_QUANTITY}` });
       }
+      travelers = { adults: quantity, children: 0, infants: 0 };
     }
-    
-    // BUGFIX: Initialize session.cart if it doesn't exist
-    if (!req.session.cart) {
-      req.session.cart = [];
+    const singleRooms = Number(body.singleRooms || 0);
+    const travelerError = travelersProblem(travelers, singleRooms);
+    if (travelerError) {
+      return res.status(400).json({ error: `Invalid travelers: ${travelerError}` });
     }
-    
-    // Store cleaned cart in session
-    req.session.cart = cleanedCart;
-    
-    // Validate cart against database and recalculate total
-    let recalculatedTotal = 0;
-    if (cleanedCart.length > 0) {
-      try {
-        const validation = await validateAndRecalculateCart(cleanedCart);
-        recalculatedTotal = validation.recalculatedTotal;
-      } catch (validationError) {
-        // If validation fails, still sync cart but warn about issues
-        console.warn('Cart validation warning during sync:', validationError.message);
-        // Calculate total from client data as fallback
-        recalculatedTotal = cleanedCart.reduce((sum, item) => sum + (item.price * item.quantity), 0);
-      }
+
+    const cart = getSessionCart(req);
+    const lineId = cartLineId({ product: productId, departure: departureId });
+    const existing = cart.find(item => cartLineId(item) === lineId);
+    let merged = travelers;
+    let mergedSingleRooms = singleRooms;
+    if (existing) {
+      const current = lineTravelers(existing);
+      merged = fitTravelers({
+        adults: current.adults + travelers.adults,
+        children: current.children + travelers.children,
+        infants: current.infants + travelers.infants
+      }, MAX_CART_QUANTITY);
+      mergedSingleRooms = (existing.singleRooms || 0) + singleRooms;
     }
-    
-    return res.json({ 
-      ok: true, 
-      cart: cleanedCart, 
-      total: recalculatedTotal,
-      message: cleanedCart.length !== cart.length ? 'Cart cleaned: duplicates merged' : undefined
-    });
-    
+
+    // Check the line before it goes into the session (product exists, departure bookable, seats left)
+    const candidate = { product: productId, departure: departureId, quantity: travelerCount(merged) };
+    const problem = cartLineProblem(candidate, await loadCartCatalog([candidate]), new Date());
+    if (problem) {
+      const status = problem.message.startsWith('Product not found') ? 404 : 409;
+      return res.status(status).json({ error: problem.reason });
+    }
+
+    const line = existing || (departureId ? { product: productId, departure: departureId } : { product: productId });
+    setLineTravelers(line, merged, mergedSingleRooms);
+    if (!existing) cart.push(line);
+
+    res.status(201).json(await buildCartResponse(req));
   } catch (err) {
-    console.error('Cart sync error', err);
-    return res.status(500).json({ error: 'Could not sync cart' });
+    handleCartError(res, err, 'Add cart item error');
   }
 });
 
-// Cart validation endpoint - checks for deleted products and recalculates totals
-app.post('/api/cart/validate', async (req, res) => {
+// PATCH /api/cart/items/:lineId - change the travelers on an existing line
+app.patch('/api/cart/items/:lineId', async (req, res) => {
   try {
-    const cart = req.body && req.body.cart;
-    if (!Array.isArray(cart)) {
-      return res.status(400).json({ error: 'cart must be an array' });
+    const body = req.body || {};
+    const item = getSessionCart(req).find(it => cartLineId(it) === req.params.lineId);
+    if (!item) {
+      return res.status(404).json({ error: 'Item not in cart' });
     }
-    
-    const validatedCart = [];
-    const removedItems = [];
-    const updatedItems = [];
-    let recalculatedTotal = 0;
-    
-    for (const item of cart) {
-      if (!item.name || !item.quantity || !item.price) {
-        removedItems.push({ ...item, reason: 'Invalid item data' });
-        continue;
-      }
-      
-      // If product has an ID, check if it still exists
-      if (item.product) {
-        const product = await Product.findById(item.product).lean();
-        if (!product) {
-          removedItems.push({ ...item, reason: 'Product no longer available' });
-          continue;
-        }
-        
-        // Check if price has changed
-        if (Math.abs(product.price - item.price) > 0.01) {
-          updatedItems.push({
-            ...item,
-            oldPrice: item.price,
-            newPrice: product.price,
-            reason: 'Price updated'
-          });
-          item.price = product.price;
-        }
-        
-        // Update name if it changed
-        if (product.name !== item.name) {
-          item.name = product.name;
-        }
+
+    let travelers;
+    let singleRooms = body.singleRooms !== undefined ? Number(body.singleRooms) : item.singleRooms || 0;
+    if (body.travelers && typeof body.travelers === 'object') {
+      travelers = parseTravelers(body.travelers);
+    } else {
+      const quantity = parseCartQuantity(body.quantity);
+      if (quantity === null) {
+        return res.status(400).json({ error: `quantity must be an integer between 1 and ${MAX_CART_QUANTITY}` });
       }
-      
-      validatedCart.push(item);
-      recalculatedTotal += item.price * item.quantity;
+      // A plain quantity (mini-cart +/-) adds or removes adults
+      const current = lineTravelers(item);
+      travelers = { ...current, adults: current.adults + quantity - travelerCount(current) };
+      singleRooms = Math.min(singleRooms, Math.max(travelers.adults, 0));
     }
-    
-    return res.json({
-      validatedCart,
-      recalculatedTotal,
-      removedItems,
-      updatedItems,
-      hasChanges: removedItems.length > 0 || updatedItems.length > 0
-    });
+    const travelerError = travelersProblem(travelers, singleRooms);
+    if (travelerError) {
+      return res.status(400).json({ error: `Invalid travelers: ${travelerError}` });
+    }
+
+    // Refuse more seats than the departure has left instead of silently lowering
+    const candidate = { ...item, quantity: travelerCount(travelers) };
+    const problem = cartLineProblem(candidate, await loadCartCatalog([candidate]), new Date());
+    if (problem && !problem.remove) {
+      return res.status(409).json({ error: problem.reason });
+    }
+    setLineTravelers(item, travelers, singleRooms);
+
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Update cart item error');
+  }
+});
+
+// DELETE /api/cart/items/:lineId - remove a line
+app.delete('/api/cart/items/:lineId', async (req, res) => {
+  try {
+    const cart = getSessionCart(req);
+    const remaining = cart.filter(it => cartLineId(it) !== req.params.lineId);
+    if (remaining.length === cart.length) {
+      return res.status(404).json({ error: 'Item not in cart' });
+    }
+    req.session.cart = remaining;
+
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Remove cart item error');
+  }
+});
+
+// DELETE /api/cart - empty the cart
+app.delete('/api/cart', async (req, res) => {
+  try {
+    req.session.cart = [];
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Clear cart error');
+  }
+});
+
+// POST /api/cart/coupon - apply a promo code to the cart (replaces any code already applied)
+app.post('/api/cart/coupon', async (req, res) => {
+  try {
+    const code = normalizeCouponCode(req.body && req.body.code);
+    if (!code) {
+      return res.status(400).json({ error: 'Enter a promo code' });
+    }
+    const cart = getSessionCart(req);
+    if (cart.length === 0) {
+      return res.status(400).json({ error: 'Add a tour to your cart before applying a code' });
+    }
+    const coupon = await Coupon.findOne({ code }).lean();
+    if (!coupon) {
+      return res.status(404).json({ error: 'Unknown promo code' });
+    }
+
+    // Check the code against the priced cart (and the email, when checkout already has it)
+    const { validatedItems } = await validateAndRecalculateCart(cart);
+    const problem = couponProblem(coupon, validatedItems, new Date()) ||
+      await couponEmailProblem(coupon, req.body.email);
+    if (problem) {
+      return res.status(409).json({ error: `Coupon not applicable: ${problem}` });
+    }
+
+    req.session.couponCode = coupon.code;
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Apply coupon error');
+  }
+});
+
+// DELETE /api/cart/coupon - remove the promo code
+app.delete('/api/cart/coupon', async (req, res) => {
+  try {
+    delete req.session.couponCode;
+    res.json(await buildCartResponse(req));
+  } catch (err) {
+    handleCartError(res, err, 'Remove coupon error');
+  }
+});
+
+// GET /api/checkout/summary?country=UK - priced cart with taxes and fees for the checkout page
+app.get('/api/checkout/summary', async (req, res) => {
+  try {
+    const country = typeof req.query.country === 'string' ? req.query.country : '';
+    res.json(await buildCheckoutSummary(req, country));
   } catch (err) {
-    console.error('Cart validation error', err);
-    return res.status(500).json({ error: 'Could not validate cart' });
+    handleCartError(res, err, 'Checkout summary error');
   }
 });
 
@@ -348,8 +856,18 @@ function validateOrderData(data) {
     }
   }
   
-  // Payment method validation (if provided)
-  if (data.paymentMethod && !['card', 'paypal', 'bank'].includes(data.paymentMethod)) {
+  // Country validation - required, and one of the countries with tax rules (the taxes
+  // and fees charged depend on it)
+  if (!data.country) {
+    errors.push('Country is required');
+  } else if (!isKnownCountry(data.country)) {
+    errors.push('Invalid country');
+  }
+  
+  // Payment method validation - every order goes through the payment provider
+  if (!data.paymentMethod) {
+    errors.push('Payment method is required');
+  } else if (!['card', 'paypal', 'bank'].includes(data.paymentMethod)) {
     errors.push('Invalid payment method');
   }
   
@@ -375,6 +893,183 @@ function validateOrderData(data) {
   return errors;
 }
 
+// Contact/billing fields from the checkout payload; blank fields are left out.
+// Card fields are deliberately not copied - they must never reach the database.
+function billingFromOrderData(data) {
+  const field = value => (typeof value === 'string' && value.trim() ? value.trim() : undefined);
+  return {
+    phone: field(data.phone),
+    address: field(data.address),
+    city: field(data.city),
+    postalCode: field(data.postalCode),
+    country: field(data.country)
+  };
+}
+
+/**
+ * PAYMENTS
+ * 
+ * Orders are paid through the provider from payments/ (the local mock gateway unless
+ * PAYMENT_PROVIDER says otherwise). Tours are paid at booking, so an authorization is
+ * captured straight away. Every attempt is kept on the order as a payment intent;
+ * the order's paymentStatus follows its latest intent.
+ */
+const PAYMENT_STATUS_BY_INTENT = {
+  requires_action: 'requires_action',
+  authorized: 'pending',
+  pending: 'pending',
+  captured: 'paid',
+  declined: 'failed',
+  refunded: 'refunded'
+};
+
+// Order status an intent status moves the order to (when the lifecycle allows it)
+const ORDER_STATUS_BY_INTENT = {
+  captured: 'Paid',
+  declined: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+// Intent status a provider webhook event stands for
+const INTENT_STATUS_BY_EVENT = {
+  'payment.authorized': 'authorized',
+  'payment.captured': 'captured',
+  'payment.failed': 'declined',
+  'payment.refunded': 'refunded'
+};
+
+const DECLINE_MESSAGES = {
+  card_declined: 'your card was declined',
+  insufficient_funds: 'insufficient funds',
+  authentication_failed: 'the card could not be verified',
+  expired: 'the payment was not completed in time'
+};
+
+function describeDecline(reason) {
+  return DECLINE_MESSAGES[reason] || 'the payment was not approved';
+}
+
+// Order sub-document for a provider answer (brand and last four digits only)
+function paymentIntentRecord(provider, method, amount, result, status) {
+  return {
+    provider: provider.name,
+    intentId: result.intentId,
+    method,
+    amount,
+    currency: 'USD',
+    status,
+    card: result.card,
+    declineReason: result.declineReason
+  };
+}
+
+// Give back what an order holds: seats on its departures and its coupon use
+async function releaseOrderInventory(order) {
+  await Promise.all(order.items
+    .filter(item => item.departure)
+    .map(item => Departure.releaseSeats(item.departure, item.quantity)));
+  if (order.discount && order.discount.coupon) {
+    await Coupon.releaseUse(order.discount.coupon);
+  }
+}
+
+/**
+ * Bring an order in line with what its provider reports for one of its intents
+ * (the customer is back from the 3-D Secure/PayPal page, or a webhook arrived):
+ * - authorized: captured now, the order moves to Paid
+ * - captured: the order moves to Paid (e.g. a bank transfer arrived)
+ * - declined: payment failed - the order is Cancelled and its seats and coupon use given back
+ * - refunded: the order is Refunded and its seats and coupon use given back
+ * An order whose status does not allow the move (e.g. a transfer arriving for an order the
+ * admin already cancelled) only gets the intent updated.
+ * The update is conditional on the intent status read, so repeated or concurrent calls
+ * (return page and webhook together) apply the change once.
+ * 
+ * @param {Object} order - Lean order
+ * @param {string} intentId
+ * @param {Object} result - { status, declineReason? } from the provider
+ * @returns {Object} The order as it is now
+ */
+async function applyPaymentResult(order, intentId, result) {
+  const intent = order.paymentIntents.find(pi => pi.intentId === intentId);
+  if (!intent) return order;
+
+  let status = result.status;
+  // Approved too late (the order expired or was cancelled meanwhile): never captured,
+  // the authorization lapses at the provider
+  if (status === 'authorized' && Order.CLOSED_STATUSES.includes(order.status)) return order;
+  if (status === 'authorized') {
+    await getProvider(intent.provider).capture(intentId, intent.amount);
+    status = 'captured';
+  }
+  if (status === intent.status || !PAYMENT_STATUS_BY_INTENT[status]) return order;
+
+  const set = {
+    'paymentIntents.$.status': status,
+    'paymentIntents.$.updatedAt': new Date(),
+    paymentStatus: PAYMENT_STATUS_BY_INTENT[status]
+  };
+  if (result.declineReason) set['paymentIntents.$.declineReason'] = result.declineReason;
+  const filter = { paymentIntents: { $elemMatch: { intentId, status: intent.status } } };
+
+  const nextStatus = ORDER_STATUS_BY_INTENT[status];
+  let updated;
+  if (nextStatus && Order.canTransition(order.status, nextStatus)) {
+    const reason = status === 'declined' ? `Payment declined (${result.declineReason || 'no reason given'})` : `Payment ${status}`;
+    updated = await Order.transition(order._id, nextStatus, { actor: `payment:${intent.provider}`, reason, set, filter });
+  } else {
+    if (nextStatus) console.warn(`Order ${order._id} is ${order.status}, not moving it to ${nextStatus} after payment ${status}`);
+    updated = await Order.findOneAndUpdate({ _id: order._id, ...filter }, { $set: set }, { new: true }).lean();
+  }
+  if (!updated) {
+    return (await Order.findById(order._id).lean()) || order; // someone else got there first
+  }
+  if (Order.CLOSED_STATUSES.includes(updated.status) && !Order.CLOSED_STATUSES.includes(order.status)) {
+    await releaseOrderInventory(updated);
+  }
+  return updated;
+}
+
+// How long a customer has to finish 3-D Secure / PayPal approval; after that the order
+// is cancelled and its seats and coupon use go back
+const PAYMENT_ACTION_TTL_MS = 30 * 60 * 1000;
+const PAYMENT_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+function isPaymentAbandoned(order, now = Date.now()) {
+  return order.paymentStatus === 'requires_action' && now - new Date(order.createdAt).getTime() > PAYMENT_ACTION_TTL_MS;
+}
+
+// Cancel an order whose payment approval was abandoned. Returns the order as it is now.
+async function expireAbandonedPayment(order) {
+  const updated = await Order.transition(order._id, 'Cancelled', {
+    actor: 'system',
+    reason: 'Payment not completed in time',
+    set: {
+      paymentStatus: 'failed',
+      'paymentIntents.$[open].status': 'declined',
+      'paymentIntents.$[open].declineReason': 'expired',
+      'paymentIntents.$[open].updatedAt': new Date()
+    },
+    filter: { paymentStatus: 'requires_action' },
+    arrayFilters: [{ 'open.status': 'requires_action' }]
+  });
+  if (!updated) return (await Order.findById(order._id).lean()) || order; // already moved on
+  await releaseOrderInventory(updated);
+  return updated;
+}
+
+// Periodic sweep for abandoned approvals (the payment return page also checks on access)
+async function expireAbandonedPayments() {
+  const abandoned = await Order.find({
+    status: 'Pending',
+    paymentStatus: 'requires_action',
+    createdAt: { $lt: new Date(Date.now() - PAYMENT_ACTION_TTL_MS) }
+  }).lean();
+  for (const order of abandoned) {
+    await expireAbandonedPayment(order).catch(err => console.error('Payment expiry error', order._id, err.message));
+  }
+}
+
 /**
  * ORDER CREATION API ENDPOINT - POST /api/orders
  * 
@@ -395,37 +1090,57 @@ function validateOrderData(data) {
  * PROCESS FLOW:
  * 1. Extract and validate basic payload structure
  * 2. Run comprehensive form validation (name, email, payment details)
- * 3. Validate cart items against database (security-critical)
- * 4. Recalculate total using database prices (prevents tampering)
+ * 3. Validate the session cart against database (security-critical)
+ * 4. Recalculate total using database prices, the promo code, and taxes and fees for the country (prevents tampering)
  * 5. Compare client vs server totals (detect manipulation attempts)
- * 6. Create order in database with validated data
- * 7. Clear session cart (prevent duplicate orders)
- * 8. Return order confirmation
+ * 6. Atomically take seats on dated departures and the coupon use, in one transaction with step 7
+ *    (on a standalone MongoDB server the writes are undone one by one instead)
+ * 7. Authorize and capture the total with the payment provider, then create the order
+ *    with validated data, contact/billing details and the payment intent
+ * 8. Clear session cart (prevent duplicate orders) - kept while a 3-D Secure/PayPal step is open
+ * 9. Return order confirmation, or the provider page the customer has to visit
  * 
  * @route POST /api/orders
+ * @middleware idempotentRequest - a repeated Idempotency-Key gets the first response again
+ *   (before the cart check: a replay comes after the cart was cleared), without the
+ *   accessToken; the session that placed the order can open the page without it
  * @middleware checkCartNotEmpty
+ * @header {string} Idempotency-Key - Optional, one per checkout attempt
  * @body {string} customerName - Customer's full name (min 3 chars)
  * @body {string} email - Valid email address
- * @body {Array} items - Cart items with product IDs, names, quantities, prices
- * @body {number} totalAmount - Client-calculated total (will be verified)
- * @body {Object} ...additionalData - Optional: phone, address, payment details
- * @returns {Object} { orderId: string, total: number } - Success response
+ * @body {string} country - Billing country, selects the tax and fee rules
+ * @body {number} totalAmount - Total the customer was shown (optional, verified against the server total)
+ * @body {string} paymentMethod - card, paypal or bank
+ * @body {Object} ...additionalData - Optional: phone, address, city, postalCode (stored on the order)
+ *   and card details (passed to the payment provider only - never stored or logged)
+ * @returns {Object} { orderId, orderNumber, accessToken, total, paymentStatus, redirectUrl? } - Success
+ *   response; the confirmation page is /order-confirmation/<orderId>?token=<accessToken>
+ *   (no accessToken in a replayed response)
+ * @returns {Object} { error } with 402 - Payment declined
+ * @returns {Object} { error } with 409/422 - Same Idempotency-Key still running / used for another request
  * @returns {Object} { error: string, details?: Array } - Error response
  */
-app.post('/api/orders', checkCartNotEmpty, async (req, res) => {
+const orderIdempotency = idempotentRequest('POST /api/orders', {
+  redact: ['accessToken'], // only its hash is ever stored
+  onReplay: (req, body) => { if (body.orderId) grantOrderAccess(req, body.orderId); }
+});
+
+app.post('/api/orders', orderIdempotency, checkCartNotEmpty, async (req, res) => {
   try {
     // STEP 1: Extract and destructure request data
-    const { customerName, email, items, totalAmount, ...additionalData } = req.body;
+    // Items come from the session cart only - any client-sent items are ignored.
+    // Card fields are split off here and only ever handed to the payment provider.
+    const { customerName, email, totalAmount, cardName, cardNumber, cardExpiry, cardCVV, ...additionalData } = req.body;
     
     // STEP 2: Basic payload structure validation
     // This catches malformed requests early before expensive operations
-    if (!customerName || !email || !Array.isArray(items) || items.length === 0) {
+    if (!customerName || !email) {
       return res.status(400).json({ error: 'Invalid order payload' });
     }
     
     // STEP 3: Comprehensive form validation
     // Validates all customer data, payment details, etc.
-    const validationErrors = validateOrderData({ customerName, email, ...additionalData });
+    const validationErrors = validateOrderData({ customerName, email, cardName, cardNumber, cardExpiry, cardCVV, ...additionalData });
     if (validationErrors.length > 0) {
       return res.status(400).json({ 
         error: 'Validation failed', 
@@ -435,84 +1150,860 @@ app.post('/api/orders', checkCartNotEmpty, async (req, res) => {
     
     // STEP 4: SECURITY-CRITICAL - Validate cart against database
     // This prevents price manipulation, handles deleted products, prevents duplicates
-    const { validatedItems, recalculatedTotal } = await validateAndRecalculateCart(items);
+    // The applied promo code is re-checked here, including the per-email limit
+    const coupon = req.session.couponCode ? await Coupon.findOne({ code: req.session.couponCode }).lean() : null;
+    if (req.session.couponCode && !coupon) {
+      delete req.session.couponCode;
+      return res.status(400).json({ error: 'Coupon not applicable: this code no longer exists' });
+    }
+    const { validatedItems, discount } = await validateAndRecalculateCart(getSessionCart(req), null, coupon);
+    const couponEmailError = coupon && await couponEmailProblem(coupon, email);
+    if (couponEmailError) {
+      return res.status(400).json({ error: `Coupon not applicable: ${couponEmailError}` });
+    }
+    // Discount, taxes and fees for the billing country - same function as the checkout summary
+    const { subtotal, charges, total } = checkoutTotals(validatedItems, additionalData.country);
     
-    // STEP 5: Total verification - detect client-side price manipulation
+    // STEP 5: Total verification - detect prices changing while the customer was on checkout
     // Small tolerance accounts for floating-point precision differences
     const tolerance = 0.01;
-    if (Math.abs(recalculatedTotal - totalAmount) > tolerance) {
+    if (totalAmount !== undefined && Math.abs(total - Number(totalAmount)) > tolerance) {
       return res.status(400).json({ 
         error: 'Total amount mismatch', 
         clientTotal: totalAmount,
-        serverTotal: recalculatedTotal,
+        serverTotal: total,
         message: 'Cart total has been recalculated. Please refresh and try again.'
       });
     }
 
-    // STEP 6: Create order in database with validated data
-    // Use server-calculated total and validated items, not client data
-    const order = await Order.create({ 
-      customerName: customerName.trim(), 
-      email: email.toLowerCase().trim(), // Normalize email
-      items: validatedItems, // Use server-validated items
-      totalAmount: recalculatedTotal // Use server-calculated total
-    });
-
-    // STEP 7: Clear session cart to prevent duplicate orders
+    // STEP 6: Take the seats on every dated line and the coupon use. Each is a single
+    // conditional update, so two buyers cannot both get the last seat or the last
+    // use of a code. Steps 6 and 7 run in one transaction (utils/transaction.js): if
+    // anything fails, none of the writes are kept. The payment is outside the database,
+    // so a captured payment is refunded instead.
+    const provider = getProvider();
+    const paymentMethod = additionalData.paymentMethod;
+    // The order id is chosen up front so the payment intent can reference it. The number
+    // is taken outside the transaction so concurrent orders do not conflict on the counter
+    // (a failed order leaves a gap in the numbers).
+    const orderId = new mongoose.Types.ObjectId();
+    const orderNumber = await Order.nextOrderNumber();
+    // Secret for the confirmation link; only its hash is stored
+    const accessToken = newToken();
+    let payment = null;
+    let capturedIntent = null;
+    let order;
+    try {
+      order = await withTransaction(async ({ session, onRollback }) => {
+        for (const item of validatedItems.filter(it => it.departure)) {
+          const ok = await Departure.reserveSeats(item.departure, item.quantity, { session });
+          if (!ok) {
+            throw new Error(`Departure unavailable: not enough seats left for ${item.name} on ${formatDepartureDate(item.departureDate)}`);
+          }
+          onRollback(() => Departure.releaseSeats(item.departure, item.quantity));
+        }
+        if (discount) {
+          const redeemed = await Coupon.redeem(discount.coupon, { session });
+          if (!redeemed) {
+            throw new Error('Coupon not applicable: this code has been fully redeemed');
+          }
+          onRollback(() => Coupon.releaseUse(discount.coupon));
+        }
+
+        // STEP 7: Take the payment; a declined payment leaves no order behind
+        payment = await provider.authorize({
+          orderId,
+          amount: total,
+          currency: 'USD',
+          method: paymentMethod,
+          card: paymentMethod === 'card' ? { name: cardName, number: cardNumber, expiry: cardExpiry, cvv: cardCVV } : undefined,
+          returnUrl: `/checkout/payment-return/${orderId}`
+        });
+        if (payment.status === 'declined') {
+          throw new Error(`Payment declined: ${describeDecline(payment.declineReason)}`);
+        }
+        let intentStatus = payment.status;
+        if (payment.status === 'authorized') {
+          await provider.capture(payment.intentId, total);
+          capturedIntent = payment.intentId;
+          intentStatus = 'captured';
+        }
+
+        // Lifecycle starts at Pending; a payment captured right away moves it on to Paid
+        const placedAt = new Date();
+        const statusHistory = [{ to: 'Pending', at: placedAt, actor: 'customer', reason: 'Order placed' }];
+        if (intentStatus === 'captured') {
+          statusHistory.push({ from: 'Pending', to: 'Paid', at: placedAt, actor: `payment:${provider.name}`, reason: 'Payment captured' });
+        }
+
+        // Create order in database with validated data
+        // Use server-calculated total and validated items, not client data
+        const [created] = await Order.create([{
+          _id: orderId,
+          orderNumber,
+          accessTokenHash: hashToken(accessToken),
+          customer: req.session.customerId || undefined, // guest orders have none
+          status: statusHistory[statusHistory.length - 1].to,
+          statusHistory,
+          createdAt: placedAt,
+          customerName: customerName.trim(), 
+          email: email.toLowerCase().trim(), // Normalize email
+          billing: billingFromOrderData(additionalData),
+          paymentMethod,
+          paymentStatus: PAYMENT_STATUS_BY_INTENT[intentStatus],
+          paymentIntents: [paymentIntentRecord(provider, paymentMethod, total, payment, intentStatus)],
+          items: validatedItems, // Use server-validated items
+          subtotal,
+          discount: discount || undefined,
+          charges,
+          totalAmount: total // Use server-calculated total (subtotal - discount + taxes and fees)
+        }], { session });
+        onRollback(() => Order.deleteOne({ _id: orderId }));
+
+        // Track units sold per product for the "popular" catalog sort
+        await Product.bulkWrite(validatedItems.map(item => ({
+          updateOne: { filter: { _id: item.product }, update: { $inc: { salesCount: item.quantity } } }
+        })), { session });
+
+        return created;
+      }, { canRetry: () => payment === null }); // never take a payment twice
+    } catch (placementError) {
+      if (capturedIntent) {
+        await provider.refund(capturedIntent, total)
+          .catch(refundError => console.error('Refund after failed order error', refundError.message));
+      }
+      throw placementError;
+    }
+
+    // This session may see the order without the token (e.g. back from the payment page)
+    grantOrderAccess(req, order._id);
+
+    // The customer still has to approve the payment on the provider's page;
+    // the cart is kept in case they fail or abandon it (an abandoned order is
+    // cancelled after PAYMENT_ACTION_TTL_MS)
+    if (order.paymentStatus === 'requires_action') {
+      return res.status(201).json({ orderId: order._id, orderNumber, accessToken, total, paymentStatus: order.paymentStatus, redirectUrl: payment.redirectUrl });
+    }
+
+    // STEP 8: Clear session cart to prevent duplicate orders
     // This is why we use sessions - to maintain cart state across requests
     req.session.cart = [];
+    delete req.session.couponCode;
 
-    // STEP 8: Return success response with order ID for confirmation page
-    res.status(201).json({ orderId: order._id, total: recalculatedTotal });
+    // STEP 9: Return success response with order ID for confirmation page
+    res.status(201).json({ orderId: order._id, orderNumber, accessToken, total, paymentStatus: order.paymentStatus });
     
   } catch (err) {
     // COMPREHENSIVE ERROR HANDLING
     console.error('Create order error', err);
     
     // Handle validation errors (client should see these)
-    if (err.message.includes('Product not found') || 
-        err.message.includes('Invalid cart') ||
-        err.message.includes('Duplicate product')) {
+    if (isCartValidationError(err)) {
       return res.status(400).json({ error: err.message });
     }
+    if (err.message.startsWith('Payment declined')) {
+      return res.status(402).json({ error: err.message });
+    }
     
     // Handle unexpected server errors (don't expose internal details)
     res.status(500).json({ error: 'Could not create order' });
   }
 });
 
-// Admin login (small helper to set session userEmail) - POST { email }
-app.post('/admin/login', (req, res) => {
-  const email = req.body && req.body.email;
-  if (!email) return res.status(400).send('Email required');
-  req.session.userEmail = email;
-  return res.redirect('/admin');
+// Customer is back from the provider's 3-D Secure / PayPal page
+app.get('/checkout/payment-return/:id', async (req, res, next) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return next();
+    const order = await Order.findById(req.params.id).select('+accessTokenHash').lean();
+    // Only the visitor who placed the order may finish it (and have their cart emptied)
+    if (!order || !order.paymentIntents.length || !canViewOrder(req, order)) {
+      return res.status(404).send('Order not found');
+    }
+
+    const intent = order.paymentIntents[order.paymentIntents.length - 1];
+    let updated;
+    let result = null;
+    if (isPaymentAbandoned(order)) {
+      updated = await expireAbandonedPayment(order);
+    } else {
+      result = await getProvider(intent.provider).retrieve(intent.intentId);
+      updated = await applyPaymentResult(order, intent.intentId, result);
+    }
+
+    if (updated.paymentStatus === 'requires_action' && result) {
+      return res.redirect(result.redirectUrl); // not finished yet
+    }
+    if (updated.paymentStatus === 'failed') {
+      return res.redirect('/checkout?payment=failed'); // cart is still there to try again
+    }
+    req.session.cart = [];
+    delete req.session.couponCode;
+    res.redirect(`/order-confirmation/${updated._id}`);
+  } catch (err) {
+    console.error('Payment return error', err);
+    res.status(500).send('Could not complete payment');
+  }
+});
+
+// POST /api/payments/webhook/:provider - signed status updates from the payment provider
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  let event;
+  try {
+    event = await getProvider(req.params.provider).parseWebhook(req.rawBody, req.headers);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  try {
+    const status = INTENT_STATUS_BY_EVENT[event.type];
+    const order = status && await Order.findOne({ 'paymentIntents.intentId': event.intentId }).lean();
+    if (!order) {
+      return res.json({ received: true, ignored: true }); // not one of ours, or an event we do not use
+    }
+    await applyPaymentResult(order, event.intentId, { status });
+    res.json({ received: true });
+  } catch (err) {
+    console.error('Payment webhook error', err);
+    res.status(500).json({ error: 'Webhook processing failed' });
+  }
+});
+
+// Hash of a random password nobody knows, same cost as real ones
+const DUMMY_PASSWORD_HASH = 'scrypt$16384$aed3a884e7ecc38481b6b5a2b3b6b611$609aeaf47bb02d98d7836c80352e6f64282b3769f86b6e09aaec1e9a0cbbf0d63a8e98ad2c08876869270317fbb8ba36a87683527b3f6d0bf547a063de1516d1';
+
+/**
+ * ADMIN LOGIN - POST { email, password }
+ * 
+ * Checks the password against the AdminUser's scrypt hash. Wrong passwords count towards
+ * a lockout: AdminUser.MAX_FAILED_LOGINS in a row lock the account for LOCK_MINUTES.
+ * Unknown, inactive and locked accounts get the same 401 as a wrong password, and a
+ * password check against DUMMY_PASSWORD_HASH so they take as long: neither the answer
+ * nor its timing tells which admin emails exist.
+ * A successful login gets a new session id (no session fixation) holding only adminId.
+ */
+app.post('/admin/login', async (req, res) => {
+  const email = String((req.body && req.body.email) || '').trim().toLowerCase();
+  const password = (req.body && req.body.password) || '';
+  const fail = (status, error) => res.status(status).render('admin_login', { email, error });
+  if (!email || !password) return fail(400, 'Email and password are required');
+
+  try {
+    const admin = await AdminUser.findOne({ email }).select('+passwordHash').lean();
+    if (!admin || !admin.active || AdminUser.isLocked(admin)) {
+      await verifyPassword(password, DUMMY_PASSWORD_HASH);
+      return fail(401, 'Email or password is incorrect');
+    }
+    if (!(await verifyPassword(password, admin.passwordHash))) {
+      await AdminUser.recordFailedLogin(admin._id);
+      return fail(401, 'Email or password is incorrect');
+    }
+
+    await AdminUser.recordLogin(admin._id);
+    req.session.regenerate(err => {
+      if (err) {
+        console.error('Admin session error', err);
+        return res.status(500).send('Login failed');
+      }
+      req.session.adminId = String(admin._id);
+      res.redirect('/admin');
+    });
+  } catch (err) {
+    console.error('Admin login error', err);
+    res.status(500).send('Login failed');
+  }
 });
 
 // Admin login page (GET)
 app.get('/admin/login', (req, res) => {
   // If already logged in as admin, redirect to dashboard
-  if (req.session && req.session.userEmail === 'admin@shop.com') return res.redirect('/admin');
-  return res.render('admin_login');
+  if (req.session && req.session.adminId) return res.redirect('/admin');
+  return res.render('admin_login', { email: '', error: null });
+});
+
+// Admin logout - the whole session goes
+app.post('/admin/logout', (req, res) => {
+  req.session.destroy(err => {
+    if (err) console.error('Admin logout error', err);
+    res.clearCookie('connect.sid');
+    res.redirect('/admin/login');
+  });
 });
 
+/**
+ * ORDER ACCESS
+ * 
+ * An order's page is shown to whoever has its confirmation link (?token=, the secret
+ * created with the order), to a session that placed the order or opened a one-time
+ * "find my booking" link for it, and to the customer account it belongs to.
+ * Everyone else gets a 404.
+ */
+const ORDER_LINK_TTL_MS = 30 * 60 * 1000;
+const MAX_SESSION_ORDERS = 20;
+
+function grantOrderAccess(req, orderId) {
+  const ids = (req.session.orderIds || []).filter(id => id !== String(orderId));
+  req.session.orderIds = ids.concat(String(orderId)).slice(-MAX_SESSION_ORDERS);
+}
+
+// `order` needs accessTokenHash selected
+function canViewOrder(req, order) {
+  if ((req.session.orderIds || []).includes(String(order._id))) return true;
+  if (order.customer && req.session.customerId === String(order.customer)) return true;
+  return typeof req.query.token === 'string' && tokenMatches(req.query.token, order.accessTokenHash);
+}
+
 // Order confirmation page
 app.get('/order-confirmation/:id', async (req, res) => {
   try {
-    const order = await Order.findById(req.params.id).lean();
-    if (!order) return res.status(404).send('Order not found');
-    res.render('order_confirmation', { order });
+    const filter = Order.referenceFilter(req.params.id);
+    const order = filter && await Order.findOne(filter).select('+accessTokenHash').lean();
+    // Same answer for a missing order and a wrong token, so ids cannot be probed
+    if (!order || !canViewOrder(req, order)) return res.status(404).send('Order not found');
+    grantOrderAccess(req, order._id); // reloads work without the token
+    res.render('order_confirmation', { order, countries: countryOptions() });
   } catch (err) {
     console.error('Order confirmation error', err);
     res.status(500).send('Server error');
   }
 });
 
+// Find my booking - email + order number get a one-time link to the order page
+app.get('/find-booking', (req, res) => {
+  res.render('find_booking', { values: {}, sent: false, error: null });
+});
+
+app.post('/find-booking', async (req, res) => {
+  const values = {
+    email: String(req.body.email || '').trim(),
+    orderNumber: String(req.body.orderNumber || '').trim()
+  };
+  const filter = Order.referenceFilter(values.orderNumber);
+  if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email) || !filter || !filter.orderNumber) {
+    return res.status(400).render('find_booking', {
+      values,
+      sent: false,
+      error: 'Please enter the email used for the booking and the order number (e.g. WT-2026-000123).'
+    });
+  }
+  try {
+    const order = await Order.findOne({ ...filter, email: values.email.toLowerCase() }).lean();
+    if (order) {
+      const token = newToken();
+      // Expired links are dropped whenever a new one is added
+      await Order.updateOne({ _id: order._id }, { $pull: { accessLinks: { expiresAt: { $lte: new Date() } } } });
+      await Order.updateOne(
+        { _id: order._id },
+        { $push: { accessLinks: { tokenHash: hashToken(token), expiresAt: new Date(Date.now() + ORDER_LINK_TTL_MS) } } }
+      );
+      // A failed send is only logged: the page must not look different for real bookings
+      await sendMail({
+        to: order.email,
+        subject: `Your booking ${order.orderNumber}`,
+        text: `Open your booking (the link works once, within 30 minutes):\n${req.protocol}://${req.get('host')}/find-booking/${token}`
+      }).catch(mailError => console.error('Find booking mail error', mailError));
+    }
+    // The same answer whether or not the details matched, so bookings cannot be probed
+    res.render('find_booking', { values, sent: true, error: null });
+  } catch (err) {
+    console.error('Find booking error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// One-time booking link: used up on the first visit, after which this session may see the order
+app.get('/find-booking/:token', async (req, res) => {
+  try {
+    const order = await Order.findOneAndUpdate(
+      { accessLinks: { $elemMatch: { tokenHash: hashToken(req.params.token), expiresAt: { $gt: new Date() } } } },
+      { $pull: { accessLinks: { tokenHash: hashToken(req.params.token) } } }
+    ).lean();
+    if (!order) {
+      return res.status(410).render('find_booking', {
+        values: {},
+        sent: false,
+        error: 'This link has expired or has already been used. Please request a new one.'
+      });
+    }
+    grantOrderAccess(req, order._id);
+    res.redirect(`/order-confirmation/${order._id}`);
+  } catch (err) {
+    console.error('Booking link error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+/**
+ * CUSTOMER ACCOUNTS
+ * 
+ * Registration and login for storefront customers (passwords hashed with scrypt, see
+ * utils/passwords.js), "My bookings", and saved traveler profiles that prefill checkout.
+ * Orders placed while logged in belong to the account. Guest orders placed earlier with
+ * the same email are attached once the customer verifies that they own the address -
+ * otherwise anyone could sign up with someone else's email and see their bookings.
+ */
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Only local paths, so ?next= cannot send the customer to another site
+function safeNextPath(next) {
+  return typeof next === 'string' && next.startsWith('/') && !next.startsWith('//') ? next : '/account/bookings';
+}
+
+// Log a customer in on a new session id (no session fixation). The cart and the orders
+// this browser may already see are carried over.
+function startCustomerSession(req, customer) {
+  const { cart, couponCode, orderIds } = req.session;
+  return new Promise((resolve, reject) => {
+    req.session.regenerate(err => {
+      if (err) return reject(err);
+      if (cart) req.session.cart = cart;
+      if (couponCode) req.session.couponCode = couponCode;
+      if (orderIds) req.session.orderIds = orderIds;
+      req.session.customerId = String(customer._id);
+      req.session.customerName = customer.name;
+      resolve();
+    });
+  });
+}
+
+async function sendVerificationMail(req, customer) {
+  const token = newToken();
+  await Customer.updateOne({ _id: customer._id }, { verifyTokenHash: hashToken(token) });
+  await sendMail({
+    to: customer.email,
+    subject: 'Please confirm your email address',
+    text: `Confirm your email to see all your bookings in your account:\n${req.protocol}://${req.get('host')}/account/verify/${token}`
+  });
+}
+
+app.get('/account/register', (req, res) => {
+  if (req.session.customerId) return res.redirect('/account/bookings');
+  res.render('account/register', { values: {}, errors: [] });
+});
+
+app.post('/account/register', async (req, res) => {
+  const values = {
+    name: String(req.body.name || '').trim(),
+    email: String(req.body.email || '').trim().toLowerCase()
+  };
+  const errors = [];
+  if (values.name.length < 2) errors.push('Please enter your name');
+  if (!EMAIL_PATTERN.test(values.email)) errors.push('Please provide a valid email address');
+  const problem = passwordProblem(req.body.password);
+  if (problem) errors.push(problem);
+  else if (req.body.password !== req.body.confirmPassword) errors.push('Passwords do not match');
+  if (errors.length) return res.status(400).render('account/register', { values, errors });
+
+  try {
+    const customer = await Customer.create({ ...values, passwordHash: await hashPassword(req.body.password) });
+    // The account exists either way; the link can be sent again from My bookings
+    let mailSent = true;
+    await sendVerificationMail(req, customer).catch((mailError) => {
+      console.error('Verification mail error', mailError);
+      mailSent = false;
+    });
+    await startCustomerSession(req, customer);
+    res.redirect(`/account/bookings?welcome=1${mailSent ? '' : '&mailFailed=1'}`);
+  } catch (err) {
+    if (err.code === 11000) {
+      return res.status(409).render('account/register', {
+        values,
+        errors: ['An account with this email already exists - please log in instead']
+      });
+    }
+    console.error('Register error', err);
+    res.status(500).send('Registration failed');
+  }
+});
+
+// Link from the verification email: marks the address verified and attaches the guest
+// orders placed with it
+app.get('/account/verify/:token', async (req, res) => {
+  try {
+    const customer = await Customer.findOneAndUpdate(
+      { verifyTokenHash: hashToken(req.params.token) },
+      { $set: { emailVerifiedAt: new Date() }, $unset: { verifyTokenHash: 1 } },
+      { new: true }
+    ).lean();
+    if (!customer) return res.status(410).send('This link has expired or has already been used.');
+    await Order.updateMany({ email: customer.email, customer: null }, { $set: { customer: customer._id } });
+    res.redirect('/account/bookings?verified=1');
+  } catch (err) {
+    console.error('Verify email error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/account/verify/resend', customerOnly, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.session.customerId).lean();
+    let mailSent = true;
+    if (customer && !customer.emailVerifiedAt) {
+      await sendVerificationMail(req, customer).catch((mailError) => {
+        console.error('Verification mail error', mailError);
+        mailSent = false;
+      });
+    }
+    res.redirect(`/account/bookings?${mailSent ? 'sent' : 'mailFailed'}=1`);
+  } catch (err) {
+    console.error('Resend verification error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.get('/account/login', (req, res) => {
+  if (req.session.customerId) return res.redirect(safeNextPath(req.query.next));
+  res.render('account/login', { values: {}, next: safeNextPath(req.query.next), error: null });
+});
+
+app.post('/account/login', async (req, res) => {
+  const email = String(req.body.email || '').trim().toLowerCase();
+  const next = safeNextPath(req.body.next);
+  try {
+    const customer = email && await Customer.findOne({ email }).select('+passwordHash').lean();
+    if (!customer || !(await verifyPassword(req.body.password || '', customer.passwordHash))) {
+      return res.status(401).render('account/login', { values: { email }, next, error: 'Email or password is incorrect' });
+    }
+    await startCustomerSession(req, customer);
+    res.redirect(next);
+  } catch (err) {
+    console.error('Customer login error', err);
+    res.status(500).send('Login failed');
+  }
+});
+
+// Logging out keeps the cart; everything else in the session goes, including the
+// orders it was allowed to see
+app.post('/account/logout', (req, res) => {
+  const { cart, couponCode } = req.session;
+  req.session.regenerate(err => {
+    if (err) {
+      console.error('Customer logout error', err);
+      return res.status(500).send('Logout failed');
+    }
+    if (cart) req.session.cart = cart;
+    if (couponCode) req.session.couponCode = couponCode;
+    res.redirect('/');
+  });
+});
+
+// My bookings
+app.get('/account/bookings', customerOnly, async (req, res) => {
+  try {
+    const [customer, orders] = await Promise.all([
+      Customer.findById(req.session.customerId).lean(),
+      Order.find({ customer: req.session.customerId }).sort({ createdAt: -1 }).lean()
+    ]);
+    if (!customer) { // account deleted while logged in
+      delete req.session.customerId;
+      return res.redirect('/account/login');
+    }
+    res.render('account/bookings', { customer, orders, notice: req.query });
+  } catch (err) {
+    console.error('My bookings error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Saved traveler profiles (name, phone and billing address for the checkout form)
+app.get('/account/profiles', customerOnly, async (req, res) => {
+  try {
+    const customer = await Customer.findById(req.session.customerId).lean();
+    if (!customer) return res.redirect('/account/login');
+    res.render('account/profiles', { customer, countries: countryOptions(), values: {}, error: null });
+  } catch (err) {
+    console.error('Profiles error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/account/profiles', customerOnly, async (req, res) => {
+  const values = {};
+  ['label', 'fullName', 'phone', 'address', 'city', 'postalCode', 'country'].forEach(field => {
+    const value = String(req.body[field] || '').trim();
+    if (value) values[field] = value;
+  });
+  try {
+    const customer = await Customer.findById(req.session.customerId);
+    if (!customer) return res.redirect('/account/login');
+    if (values.country && !isKnownCountry(values.country)) delete values.country;
+    customer.profiles.push(values);
+    if (!customer.defaultProfile || req.body.makeDefault) {
+      customer.defaultProfile = customer.profiles[customer.profiles.length - 1]._id;
+    }
+    await customer.save();
+    res.redirect('/account/profiles');
+  } catch (err) {
+    if (err.name === 'ValidationError') {
+      const customer = await Customer.findById(req.session.customerId).lean();
+      return res.status(400).render('account/profiles', {
+        customer,
+        countries: countryOptions(),
+        values,
+        error: Object.values(err.errors).map(e => e.message).join('. ')
+      });
+    }
+    console.error('Save profile error', err);
+    res.status(500).send('Save failed');
+  }
+});
+
+app.post('/account/profiles/:profileId/default', customerOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.profileId)) return res.redirect('/account/profiles');
+    await Customer.updateOne(
+      { _id: req.session.customerId, 'profiles._id': req.params.profileId },
+      { defaultProfile: req.params.profileId }
+    );
+    res.redirect('/account/profiles');
+  } catch (err) {
+    console.error('Default profile error', err);
+    res.status(500).send('Update failed');
+  }
+});
+
+app.post('/account/profiles/:profileId/delete', customerOnly, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.profileId)) return res.redirect('/account/profiles');
+    const customer = await Customer.findById(req.session.customerId);
+    if (!customer) return res.redirect('/account/login');
+    customer.profiles.pull({ _id: req.params.profileId });
+    if (customer.defaultProfile && String(customer.defaultProfile) === req.params.profileId) {
+      customer.defaultProfile = customer.profiles.length ? customer.profiles[0]._id : undefined;
+    }
+    await customer.save();
+    res.redirect('/account/profiles');
+  } catch (err) {
+    console.error('Delete profile error', err);
+    res.status(500).send('Delete failed');
+  }
+});
+
+// Find an order by ObjectId or order number (both are accepted in URLs and lookups)
+function findOrderByReference(reference) {
+  const filter = Order.referenceFilter(reference);
+  return filter ? Order.findOne(filter).lean() : Promise.resolve(null);
+}
+
 // Products page (frontend)
 app.get('/products', (req, res) => res.render('products'));
 
+// Find a product by ObjectId or slug (both are accepted in URLs)
+function findProductByIdOrSlug(idOrSlug) {
+  const slug = String(idOrSlug).toLowerCase();
+  const query = mongoose.isValidObjectId(idOrSlug) ? { $or: [{ _id: idOrSlug }, { slug }] } : { slug };
+  return Product.findOne(query).lean();
+}
+
+// Product detail page - /products/:slug (an id redirects to the canonical slug URL)
+app.get('/products/:slug', async (req, res, next) => {
+  try {
+    const product = await findProductByIdOrSlug(req.params.slug);
+    if (!product) return next(); // falls through to the 404 handler
+    if (product.slug && product.slug !== req.params.slug) {
+      return res.redirect(301, `/products/${product.slug}`);
+    }
+
+    const [category, departures] = await Promise.all([
+      Category.findOne({ slug: product.category }).lean(),
+      Departure.find({ product: product._id, date: { $gt: new Date() } }).sort({ date: 1 }).lean()
+    ]);
+    const baseUrl = `${req.protocol}://${req.get('host')}`;
+    const canonicalUrl = `${baseUrl}/products/${product.slug || product._id}`;
+    const absolute = url => (url && url.startsWith('/') ? baseUrl + url : url);
+
+    // schema.org Product data for search engines; "<" is escaped so the JSON cannot close the script tag
+    const jsonLd = JSON.stringify({
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: product.name,
+      description: product.description || '',
+      image: [product.image].concat(product.gallery || []).filter(Boolean).map(absolute),
+      category: category ? category.name : product.category,
+      url: canonicalUrl,
+      offers: {
+        '@type': 'Offer',
+        price: product.price.toFixed(2),
+        priceCurrency: 'USD',
+        availability: departures.some(d => Departure.seatsAvailable(d) > 0) || !departures.length
+          ? 'https://schema.org/InStock'
+          : 'https://schema.org/SoldOut',
+        url: canonicalUrl
+      }
+    }).replace(/</g, '\\u003c');
+
+    res.render('product_detail', {
+      product,
+      category,
+      departures: departures.map(d => ({
+        _id: d._id,
+        date: formatDepartureDate(d.date),
+        price: d.priceOverride != null ? d.priceOverride : product.price,
+        seatsLeft: Departure.seatsAvailable(d)
+      })),
+      tierPrices: Product.tierPrices(product, product.price),
+      ageBands: Product.ageBands(product),
+      canonicalUrl,
+      ogImage: absolute(product.image || '/images/home_tour_photo_1.jpg'),
+      jsonLd
+    });
+  } catch (err) {
+    console.error('Product detail error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// ------------------ Product search helpers ------------------
+const MAX_SEARCH_LENGTH = 100;
+
+// Split a search query into distinct lower-case terms (punctuation is ignored)
+function parseSearchTerms(q) {
+  const terms = String(q || '').slice(0, MAX_SEARCH_LENGTH).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(terms)];
+}
+
+function escapeHtml(str) {
+  return String(str || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Wrap matched search terms in <mark> tags.
+ * Each piece of text is HTML-escaped, so the result is safe to insert with innerHTML.
+ * Terms match at word starts, so "turk" highlights "Turkey".
+ */
+function highlightTerms(text, terms) {
+  const raw = String(text || '');
+  if (!terms.length) return escapeHtml(raw);
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+  // split() with one capture group puts the matches at odd indexes
+  return raw.split(pattern)
+    .map((part, i) => (i % 2 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+    .join('');
+}
+
+// ------------------ Catalog sorting and cursor helpers ------------------
+// Each sort maps to the value it orders by (computed per document as _sortValue)
+// and a direction. _id in the same direction breaks ties so the order is total,
+// which is what keeps cursor pages stable when products are added or removed.
+const PRODUCT_SORTS = {
+  newest: { value: '$createdAt', direction: -1 },
+  price: { value: '$price', direction: 1 },
+  '-price': { value: '$price', direction: -1 },
+  name: { value: { $toLower: { $ifNull: ['$name', ''] } }, direction: 1 },
+  popular: { value: { $ifNull: ['$salesCount', 0] }, direction: -1 },
+  relevance: { value: { $meta: 'textScore' }, direction: -1 } // only with q
+};
+
+// Cursors are opaque to clients: base64url JSON of the sort key and the
+// (sort value, _id) position of the product they point at.
+function encodeCursor(sortKey, product) {
+  const value = product._sortValue;
+  const payload = {
+    s: sortKey,
+    v: value instanceof Date ? value.toISOString() : value,
+    d: value instanceof Date ? 1 : 0,
+    id: product._id.toString()
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// Returns { value, id } or null when the cursor is malformed or was issued for another sort
+function decodeCursor(cursor, sortKey) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (payload.s !== sortKey || !mongoose.isValidObjectId(payload.id)) return null;
+    return {
+      value: payload.d ? new Date(payload.v) : payload.v,
+      id: new mongoose.Types.ObjectId(payload.id)
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+// Keyset condition selecting documents strictly after (or before) a cursor position
+function cursorCondition(position, direction) {
+  const op = direction === 1 ? '$gt' : '$lt';
+  return {
+    $or: [
+      { _sortValue: { [op]: position.value } },
+      { _sortValue: position.value, _id: { [op]: position.id } }
+    ]
+  };
+}
+
+// ------------------ Catalog facets ------------------
+// Upper bounds of the price buckets; anything at or above the last one lands in an open-ended bucket
+const PRICE_BUCKET_BOUNDARIES = [0, 250, 500, 1000, 2500, 5000];
+
+/**
+ * Facet counts for the catalog filters.
+ * Each facet ignores its own filter (the category counts ignore the selected
+ * category, the price facets ignore the price range) so the storefront can show
+ * what selecting another option would return. The search query always applies.
+ *
+ * @param {Object} textFilter - { $text } condition or {} when not searching
+ * @param {Object} categoryFilter - { category } or {}
+ * @param {Object} priceFilter - { price: { $gte, $lte } } or {}
+ * @returns {Promise<Object>} { categories: [{ value, count }], priceBuckets: [{ min, max, count }], priceRange: { min, max } }
+ */
+async function buildProductFacets(textFilter, categoryFilter, priceFilter) {
+  const [result] = await Product.aggregate([
+    { $match: textFilter },
+    {
+      $facet: {
+        categories: [
+          { $match: priceFilter },
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          { $sort: { _id: 1 } }
+        ],
+        priceBuckets: [
+          { $match: categoryFilter },
+          {
+            $bucket: {
+              groupBy: '$price',
+              boundaries: PRICE_BUCKET_BOUNDARIES.concat(Number.MAX_SAFE_INTEGER),
+              default: 'other',
+              output: { count: { $sum: 1 } }
+            }
+          }
+        ],
+        priceRange: [
+          { $match: categoryFilter },
+          { $group: { _id: null, min: { $min: '$price' }, max: { $max: '$price' } } }
+        ]
+      }
+    }
+  ]);
+
+  const bucketCounts = new Map(result.priceBuckets.map(b => [b._id, b.count]));
+  const range = result.priceRange[0];
+  return {
+    categories: result.categories.map(c => ({ value: c._id, count: c.count })),
+    priceBuckets: PRICE_BUCKET_BOUNDARIES.map((min, i) => ({
+      min,
+      max: PRICE_BUCKET_BOUNDARIES[i + 1] !== undefined ? PRICE_BUCKET_BOUNDARIES[i + 1] : null,
+      count: bucketCounts.get(min) || 0
+    })),
+    priceRange: range ? { min: range.min, max: range.max } : { min: null, max: null }
+  };
+}
+
 // API: list products with pagination and filters
-// Query params: page (1), limit (10), category, minPrice, maxPrice
+// Query params: page (1), limit (10), q, category, minPrice, maxPrice,
+//   sort = newest | price | -price | name | popular (relevance is the default with q),
+//   after / before = opaque cursor from a previous response (cursor mode)
+// With q, results use the Product text index (name, category, description)
+// and carry a `highlights` object with <mark>-ed fields.
+// Both modes return nextCursor/prevCursor; page mode also returns page/totalPages.
+// Every response also carries `facets` (see buildProductFacets) for the filter UI.
 app.get('/api/products', async (req, res) => {
   try {
     const page = Math.max(1, parseInt(req.query.page) || 1);
@@ -520,37 +2011,162 @@ app.get('/api/products', async (req, res) => {
     const category = req.query.category;
     const minPrice = parseFloat(req.query.minPrice);
     const maxPrice = parseFloat(req.query.maxPrice);
+    const searchTerms = parseSearchTerms(req.query.q);
 
-    const filter = {};
-    if (category) filter.category = category;
+    const sortKey = req.query.sort || (searchTerms.length ? 'relevance' : 'newest');
+    if (!PRODUCT_SORTS[sortKey] || (sortKey === 'relevance' && !searchTerms.length)) {
+      return res.status(400).json({ error: `Invalid sort: ${sortKey}` });
+    }
+    const { value: sortValue, direction } = PRODUCT_SORTS[sortKey];
+
+    // Cursor mode: after= pages forward, before= pages backward
+    const cursorParam = req.query.after || req.query.before;
+    const backward = !req.query.after && !!req.query.before;
+    let position = null;
+    if (cursorParam) {
+      position = decodeCursor(cursorParam, sortKey);
+      if (!position) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // Filters are kept apart so the facets can leave out their own condition
+    const textFilter = searchTerms.length ? { $text: { $search: searchTerms.join(' ') } } : {};
+    const categoryFilter = category ? { category } : {};
+    const priceFilter = {};
     if (!isNaN(minPrice) || !isNaN(maxPrice)) {
-      filter.price = {};
-      if (!isNaN(minPrice)) filter.price.$gte = minPrice;
-      if (!isNaN(maxPrice)) filter.price.$lte = maxPrice;
+      priceFilter.price = {};
+      if (!isNaN(minPrice)) priceFilter.price.$gte = minPrice;
+      if (!isNaN(maxPrice)) priceFilter.price.$lte = maxPrice;
     }
+    const filter = { ...textFilter, ...categoryFilter, ...priceFilter };
 
-    const totalCount = await Product.countDocuments(filter);
+    const [totalCount, facets] = await Promise.all([
+      Product.countDocuments(filter),
+      buildProductFacets(textFilter, categoryFilter, priceFilter)
+    ]);
     const totalPages = Math.ceil(totalCount / limit) || 1;
 
-    const products = await Product.find(filter)
-      .sort({ createdAt: -1 })
-      .skip((page - 1) * limit)
-      .limit(limit)
-      .lean();
+    // Walking backward flips the comparison and the sort, then the page is reversed
+    const scanDirection = backward ? -direction : direction;
+    const pipeline = [
+      { $match: filter },
+      { $addFields: { _sortValue: sortValue } }
+    ];
+    if (searchTerms.length) pipeline.push({ $addFields: { score: { $meta: 'textScore' } } });
+    if (position) pipeline.push({ $match: cursorCondition(position, scanDirection) });
+    pipeline.push({ $sort: { _sortValue: scanDirection, _id: scanDirection } });
+    if (!position) pipeline.push({ $skip: (page - 1) * limit });
+    pipeline.push({ $limit: limit + 1 }); // one extra row tells us whether more exist
 
-    res.json({ products, pagination: { page, limit, totalPages, totalCount } });
+    let products = await Product.aggregate(pipeline);
+    const hasMore = products.length > limit;
+    products = products.slice(0, limit);
+    if (backward) products.reverse();
+
+    // Work out which neighbouring pages exist for the cursors
+    let hasNext;
+    let hasPrev;
+    if (!position) {
+      hasNext = hasMore;
+      hasPrev = page > 1;
+    } else if (backward) {
+      hasNext = true;
+      hasPrev = hasMore;
+    } else {
+      hasNext = hasMore;
+      hasPrev = true;
+    }
+    const nextCursor = hasNext && products.length ? encodeCursor(sortKey, products[products.length - 1]) : null;
+    const prevCursor = hasPrev && products.length ? encodeCursor(sortKey, products[0]) : null;
+
+    // Dated tours need a departure picked on the detail page before they can go in the cart
+    const datedProducts = new Set((await Departure.distinct('product', {
+      product: { $in: products.map(p => p._id) }
+    })).map(id => id.toString()));
+
+    products = products.map(({ _sortValue, ...p }) => {
+      p.requiresDeparture = datedProducts.has(p._id.toString());
+      if (!searchTerms.length) return p;
+      return {
+        ...p,
+        highlights: {
+          name: highlightTerms(p.name, searchTerms),
+          category: highlightTerms(p.category, searchTerms),
+          description: highlightTerms(p.description, searchTerms)
+        }
+      };
+    });
+
+    const pagination = position
+      ? { limit, totalCount, sort: sortKey, nextCursor, prevCursor }
+      : { page, limit, totalPages, totalCount, sort: sortKey, nextCursor, prevCursor };
+
+    res.json({ products, pagination, facets });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Simple seed endpoint to insert sample products (for development/testing)
-app.get('/seed-products', async (req, res) => {
+// API: single product by ObjectId or slug
+app.get('/api/products/:idOrSlug', async (req, res) => {
+  try {
+    const product = await findProductByIdOrSlug(req.params.idOrSlug);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    res.json({ product });
+  } catch (err) {
+    console.error('Product API error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// API: categories for the storefront filter, in admin-defined order
+app.get('/api/categories', async (req, res) => {
+  try {
+    const categories = await Category.find({})
+      .sort({ sortOrder: 1, name: 1 })
+      .select('slug name description heroImage sortOrder')
+      .lean();
+    res.json({ categories });
+  } catch (err) {
+    console.error('Categories API error', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Sample data is for development: the seed replaces the whole catalog (and its sold seats)
+function seedAllowed() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+// Seed endpoint to insert sample products (for development/testing). Owners only, from
+// the dashboard button; it wipes products, categories, departures and coupons first.
+app.post('/admin/seed-products', adminOnly, requirePermission('catalog:seed'), async (req, res) => {
+  if (!seedAllowed()) return res.status(403).send('Seeding is disabled in production');
   try {
     const sample = [
-      { name: 'Phuket Escape', price: 299, category: 'beach', image: '/images/home_tour_photo_1.jpg', description: 'Sunny beaches of Phuket' },
-      { name: 'Cairo Adventure', price: 854, category: 'historical', image: '/images/home_tour_photo_2.jpg', description: 'Explore ancient pyramids' },
+      {
+        name: 'Phuket Escape', price: 299, category: 'beach', image: '/images/home_tour_photo_1.jpg', description: 'Sunny beaches of Phuket',
+        gallery: ['/images/home_tour_photo_3.jpg', '/images/home_tour_section_3.jpg'],
+        pricing: { childPrice: 199, infantPrice: 0, singleSupplement: 120 },
+        included: ['Return flights', '5 nights beachfront hotel', 'Daily breakfast', 'Phi Phi islands boat trip'],
+        itinerary: [
+          { day: 1, title: 'Arrival', description: 'Airport pickup and check-in at Patong Beach' },
+          { day: 2, title: 'Phi Phi Islands', description: 'Full-day speedboat trip with snorkelling' },
+          { day: 3, title: 'Old Phuket Town', description: 'Guided walk and street-food tasting' }
+        ]
+      },
+      {
+        name: 'Cairo Adventure', price: 854, category: 'historical', image: '/images/home_tour_photo_2.jpg', description: 'Explore ancient pyramids',
+        included: ['Return flights', '4 nights hotel in Giza', 'Egyptologist guide', 'Museum entry tickets'],
+        pricing: { childPrice: 599, infantPrice: 50, singleSupplement: 180, childMaxAge: 12 },
+        itinerary: [
+          { day: 1, title: 'Arrival', description: 'Transfer to the hotel with pyramid views' },
+          { day: 2, title: 'Giza Plateau', description: 'Pyramids, Sphinx and the Solar Boat museum' },
+          { day: 3, title: 'Islamic Cairo', description: 'Citadel, Khan el-Khalili bazaar and Al-Azhar' }
+        ]
+      },
       { name: 'Santorini Getaway', price: 229, category: 'island', image: '/images/home_tour_photo_3.jpg', description: 'Romantic sunsets' },
       { name: 'Dubai Deluxe', price: 1299, category: 'city', image: '/images/home_tour_photo_4.jpg', description: 'Luxury city tour' },
       { name: 'Sri Lanka Special', price: 499, category: 'beach', image: '/images/home_tour_slider_srilanka.png', description: 'Cultural and beach mix' },
@@ -563,9 +2179,49 @@ app.get('/seed-products', async (req, res) => {
       { name: 'City Break Dubai', price: 1100, category: 'city', image: '/images/home_tour_photo_4.jpg', description: 'Short city weekend' }
     ];
 
+    const categories = [
+      { slug: 'beach', name: 'Beach', sortOrder: 1, heroImage: '/images/home_tour_photo_1.jpg' },
+      { slug: 'island', name: 'Island', sortOrder: 2, heroImage: '/images/home_tour_photo_3.jpg' },
+      { slug: 'city', name: 'City', sortOrder: 3, heroImage: '/images/home_tour_photo_4.jpg' },
+      { slug: 'historical', name: 'Historical', sortOrder: 4, heroImage: '/images/home_tour_photo_2.jpg' },
+      { slug: 'adventure', name: 'Adventure', sortOrder: 5, heroImage: '/images/home_tour_photo_4.jpg' },
+      { slug: 'party', name: 'Party', sortOrder: 6, heroImage: '/images/home_tour_photo_2.jpg' }
+    ];
+
     await Product.deleteMany({});
+    await Category.deleteMany({});
+    await Departure.deleteMany({});
+    await Coupon.deleteMany({});
+    await Category.insertMany(categories);
     const inserted = await Product.insertMany(sample);
-    res.json({ insertedCount: inserted.length, products: inserted });
+
+    // Three monthly departures per tour, the first one nearly full
+    const day = 24 * 60 * 60 * 1000;
+    const departures = [];
+    inserted.forEach(product => {
+      [30, 60, 90].forEach((offset, i) => {
+        departures.push({
+          product: product._id,
+          date: new Date(Date.now() + offset * day),
+          seatsTotal: 16,
+          seatsSold: i === 0 ? 14 : 0
+        });
+      });
+    });
+    await Departure.insertMany(departures);
+
+    const coupons = await Coupon.insertMany([
+      { code: 'WELCOME10', description: '10% off your first trip', type: 'percent', value: 10, maxUsesPerEmail: 1 },
+      { code: 'BEACH50', description: '$50 off beach tours', type: 'fixed', value: 50, minOrderValue: 250, categories: ['beach'] }
+    ]);
+
+    await recordAudit(req, {
+      action: 'catalog.seed',
+      targetType: 'Product',
+      changes: [{ field: 'products', after: inserted.length }, { field: 'departures', after: departures.length }]
+    });
+    if (req.accepts(['json', 'html']) === 'html') return res.redirect('/admin/products');
+    res.json({ insertedCount: inserted.length, departureCount: departures.length, couponCount: coupons.length, products: inserted });
   } catch (err) {
     console.error('Seed error', err);
     res.status(500).json({ error: 'Seed failed' });
@@ -574,44 +2230,154 @@ app.get('/seed-products', async (req, res) => {
 
 // ------------------ Admin routes (simple, server-rendered) ------------------
 // Admin dashboard (protected)
+// Staff who can see orders get the sales charts (public/js/admin_analytics.js)
 app.get('/admin', adminOnly, (req, res) => {
-  res.render('admin/dashboard');
+  res.render('admin/dashboard', { intervals: analytics.INTERVALS, seedAllowed: seedAllowed() });
 });
 
+/**
+ * SALES ANALYTICS (JSON, for the dashboard charts)
+ * 
+ * GET /admin/api/analytics/summary          - orders, revenue, average order value,
+ *                                             cancellation rate, orders per status
+ * GET /admin/api/analytics/revenue          - orders and revenue per ?interval=day|week|month
+ * GET /admin/api/analytics/top-products     - best sellers by revenue (?limit=, default 10)
+ * GET /admin/api/analytics/top-categories   - the same per category
+ * 
+ * All take ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC days, both included; default the last
+ * 30 days) and count orders by the day they were placed. What counts as revenue is
+ * described in utils/analytics.js. Bad parameters answer 400 { error }.
+ */
+function analyticsRoute(compute) {
+  return async (req, res) => {
+    const range = analytics.rangeFromQuery(req.query);
+    if (range.error) return res.status(400).json({ error: range.error });
+    if (req.query.interval && !analytics.INTERVALS.includes(req.query.interval)) {
+      return res.status(400).json({ error: `interval must be one of ${analytics.INTERVALS.join(', ')}` });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+    try {
+      res.json(await compute(range, { interval: req.query.interval || 'day', limit }));
+    } catch (err) {
+      console.error('Analytics error', err);
+      res.status(500).json({ error: 'Analytics failed' });
+    }
+  };
+}
+
+app.get('/admin/api/analytics/summary', adminOnly, requirePermission('orders:read'),
+  analyticsRoute(range => analytics.salesSummary(range)));
+app.get('/admin/api/analytics/revenue', adminOnly, requirePermission('orders:read'),
+  analyticsRoute((range, { interval }) => analytics.salesSeries(range, interval)));
+app.get('/admin/api/analytics/top-products', adminOnly, requirePermission('orders:read'),
+  analyticsRoute((range, { limit }) => analytics.topProducts(range, limit)));
+app.get('/admin/api/analytics/top-categories', adminOnly, requirePermission('orders:read'),
+  analyticsRoute((range, { limit }) => analytics.topCategories(range, limit)));
+
 // Admin: product list
-app.get('/admin/products', adminOnly, async (req, res) => {
+app.get('/admin/products', adminOnly, requirePermission('catalog:read'), async (req, res) => {
   try {
-    const products = await Product.find({}).sort({ createdAt: -1 }).lean();
-    res.render('admin/products', { products });
+    const [products, categories] = await Promise.all([
+      Product.find({}).sort({ createdAt: -1 }).lean(),
+      Category.find({}).lean()
+    ]);
+    const categoryNames = Object.fromEntries(categories.map(c => [c.slug, c.name]));
+    res.render('admin/products', { products, categoryNames });
   } catch (err) {
     console.error('Admin products error', err);
     res.status(500).send('Server error');
   }
 });
 
+// Categories for the product form select, in storefront order
+function loadCategoryOptions() {
+  return Category.find({}).sort({ sortOrder: 1, name: 1 }).select('slug name').lean();
+}
+
 // Admin: new product form
-app.get('/admin/products/new', adminOnly, (req, res) => {
-  res.render('admin/product_form', { product: null, action: '/admin/products', method: 'POST' });
+app.get('/admin/products/new', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const categories = await loadCategoryOptions();
+    res.render('admin/product_form', { product: null, categories, action: '/admin/products', method: 'POST' });
+  } catch (err) {
+    console.error('New product form error', err);
+    res.status(500).send('Server error');
+  }
 });
 
+// Split a textarea into trimmed, non-empty lines
+function textareaLines(value) {
+  return String(value || '').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+}
+
+// Optional number from a form field: blank means "not set"
+function optionalNumber(value) {
+  if (value === undefined || String(value).trim() === '') return undefined;
+  const n = parseFloat(value);
+  return isNaN(n) ? undefined : n;
+}
+
+/**
+ * Read the product form fields from the request body.
+ * Gallery and "what's included" are one entry per line; the itinerary is one
+ * day per line written as "Title: description".
+ */
+function productFieldsFromBody(body) {
+  const { name, price, category, image, description } = body;
+  return {
+    name,
+    slug: body.slug ? slugify(body.slug) : undefined,
+    price: parseFloat(price) || 0,
+    category,
+    image,
+    description,
+    gallery: textareaLines(body.gallery),
+    included: textareaLines(body.included),
+    itinerary: textareaLines(body.itinerary).map((line, i) => {
+      const sep = line.indexOf(':');
+      return sep > 0
+        ? { day: i + 1, title: line.slice(0, sep).trim(), description: line.slice(sep + 1).trim() }
+        : { day: i + 1, title: line };
+    }),
+    // Blank tier fields fall back to the schema defaults (children pay the adult fare)
+    pricing: {
+      childPrice: optionalNumber(body.childPrice),
+      infantPrice: optionalNumber(body.infantPrice),
+      singleSupplement: optionalNumber(body.singleSupplement),
+      infantMaxAge: optionalNumber(body.infantMaxAge),
+      childMaxAge: optionalNumber(body.childMaxAge)
+    }
+  };
+}
+
 // Admin: create product
-app.post('/admin/products', adminOnly, async (req, res) => {
+app.post('/admin/products', adminOnly, requirePermission('catalog:write'), async (req, res) => {
   try {
-    const { name, price, category, image, description } = req.body;
-    await Product.create({ name, price: parseFloat(price) || 0, category, image, description });
+    const fields = productFieldsFromBody(req.body);
+    // Only categories from the Category collection are accepted (no free-text orphans)
+    if (!fields.category || !(await Category.exists({ slug: fields.category }))) {
+      return res.status(400).send('Unknown category');
+    }
+    const product = await Product.create(fields);
+    await recordAudit(req, { action: 'product.create', targetType: 'Product', targetId: product._id, targetLabel: product.name, after: product });
     res.redirect('/admin/products');
   } catch (err) {
+    if (err.code === 11000) return res.status(400).send('Slug already in use by another product');
+    if (err.name === 'ValidationError') return res.status(400).send(err.message);
     console.error('Create product error', err);
     res.status(500).send('Create failed');
   }
 });
 
 // Admin: edit form
-app.get('/admin/products/:id/edit', adminOnly, async (req, res) => {
+app.get('/admin/products/:id/edit', adminOnly, requirePermission('catalog:write'), async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).lean();
+    const [product, categories] = await Promise.all([
+      Product.findById(req.params.id).lean(),
+      loadCategoryOptions()
+    ]);
     if (!product) return res.status(404).send('Not found');
-    res.render('admin/product_form', { product, action: `/admin/products/${product._id}`, method: 'POST' });
+    res.render('admin/product_form', { product, categories, action: `/admin/products/${product._id}`, method: 'POST' });
   } catch (err) {
     console.error('Edit product error', err);
     res.status(500).send('Server error');
@@ -619,21 +2385,48 @@ app.get('/admin/products/:id/edit', adminOnly, async (req, res) => {
 });
 
 // Admin: update product
-app.post('/admin/products/:id', adminOnly, async (req, res) => {
+app.post('/admin/products/:id', adminOnly, requirePermission('catalog:write'), async (req, res) => {
   try {
-    const { name, price, category, image, description } = req.body;
-    await Product.findByIdAndUpdate(req.params.id, { name, price: parseFloat(price) || 0, category, image, description });
+    const fields = productFieldsFromBody(req.body);
+    if (!fields.category || !(await Category.exists({ slug: fields.category }))) {
+      return res.status(400).send('Unknown category');
+    }
+    // Load and save (rather than findByIdAndUpdate) so the slug hook runs.
+    // An empty slug field keeps the current slug so existing links keep working.
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).send('Not found');
+    if (!fields.slug) delete fields.slug;
+    const before = product.toObject();
+    product.set(fields);
+    await product.save();
+    await recordAudit(req, { action: 'product.update', targetType: 'Product', targetId: product._id, targetLabel: product.name, before, after: product });
     res.redirect('/admin/products');
   } catch (err) {
+    if (err.code === 11000) return res.status(400).send('Slug already in use by another product');
+    if (err.name === 'ValidationError') return res.status(400).send(err.message);
     console.error('Update product error', err);
     res.status(500).send('Update failed');
   }
 });
 
-// Admin: delete product
-app.post('/admin/products/:id/delete', adminOnly, async (req, res) => {
+// Admin: delete product with its departures (refused while any departure has sold seats)
+app.post('/admin/products/:id/delete', adminOnly, requirePermission('catalog:write'), async (req, res) => {
   try {
-    await Product.findByIdAndDelete(req.params.id);
+    if (await Departure.exists({ product: req.params.id, seatsSold: { $gt: 0 } })) {
+      return res.status(400).send('This product has departures with sold seats and cannot be deleted');
+    }
+    const product = await Product.findByIdAndDelete(req.params.id).lean();
+    const removed = await Departure.deleteMany({ product: req.params.id });
+    if (product) {
+      await recordAudit(req, {
+        action: 'product.delete',
+        targetType: 'Product',
+        targetId: product._id,
+        targetLabel: product.name,
+        before: product,
+        reason: removed.deletedCount ? `${removed.deletedCount} departure(s) deleted with it` : undefined
+      });
+    }
     res.redirect('/admin/products');
   } catch (err) {
     console.error('Delete product error', err);
@@ -641,40 +2434,729 @@ app.post('/admin/products/:id/delete', adminOnly, async (req, res) => {
   }
 });
 
+// Admin: departures of a product with their seat inventory
+app.get('/admin/products/:id/departures', adminOnly, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).lean();
+    if (!product) return res.status(404).send('Not found');
+    const departures = await Departure.find({ product: product._id }).sort({ date: 1 }).lean();
+    res.render('admin/departures', { product, departures, now: new Date(), seatsAvailable: Departure.seatsAvailable });
+  } catch (err) {
+    console.error('Admin departures error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Read the departure form fields; returns { fields } or { error }
+function departureFieldsFromBody(body) {
+  const date = new Date(body.date);
+  const seatsTotal = parseInt(body.seatsTotal);
+  const seatsHeld = parseInt(body.seatsHeld) || 0;
+  const priceOverride = body.priceOverride === '' || body.priceOverride === undefined ? null : parseFloat(body.priceOverride);
+  if (isNaN(date.getTime())) return { error: 'A valid date is required' };
+  if (!Number.isInteger(seatsTotal) || seatsTotal < 0) return { error: 'Total seats must be a whole number' };
+  if (seatsHeld < 0 || seatsHeld > seatsTotal) return { error: 'Held seats must be between 0 and the total' };
+  if (priceOverride !== null && (isNaN(priceOverride) || priceOverride < 0)) return { error: 'Price override must be a positive number' };
+  return { fields: { date, seatsTotal, seatsHeld, priceOverride } };
+}
+
+// Departures are named by their date (and product id) in the audit log
+function departureLabel(departure) {
+  return `${departure.date.toISOString().slice(0, 10)} (product ${departure.product})`;
+}
+
+// Admin: add a departure
+app.post('/admin/products/:id/departures', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const product = await Product.findById(req.params.id).select('_id').lean();
+    if (!product) return res.status(404).send('Not found');
+    const { fields, error } = departureFieldsFromBody(req.body);
+    if (error) return res.status(400).send(error);
+    const departure = await Departure.create({ product: product._id, ...fields, priceOverride: fields.priceOverride ?? undefined });
+    await recordAudit(req, { action: 'departure.create', targetType: 'Departure', targetId: departure._id, targetLabel: departureLabel(departure), after: departure });
+    res.redirect(`/admin/products/${product._id}/departures`);
+  } catch (err) {
+    console.error('Create departure error', err);
+    res.status(500).send('Create failed');
+  }
+});
+
+// Admin: update a departure (sold seats are never edited by hand)
+app.post('/admin/departures/:id', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const departure = await Departure.findById(req.params.id);
+    if (!departure) return res.status(404).send('Not found');
+    const { fields, error } = departureFieldsFromBody(req.body);
+    if (error) return res.status(400).send(error);
+    if (fields.seatsTotal < departure.seatsSold + fields.seatsHeld) {
+      return res.status(400).send(`Total seats cannot be below sold (${departure.seatsSold}) plus held seats`);
+    }
+    const before = departure.toObject();
+    departure.set({ ...fields, priceOverride: fields.priceOverride ?? undefined });
+    await departure.save();
+    await recordAudit(req, { action: 'departure.update', targetType: 'Departure', targetId: departure._id, targetLabel: departureLabel(departure), before, after: departure });
+    res.redirect(`/admin/products/${departure.product}/departures`);
+  } catch (err) {
+    console.error('Update departure error', err);
+    res.status(500).send('Update failed');
+  }
+});
+
+// Admin: delete a departure (refused once seats were sold)
+app.post('/admin/departures/:id/delete', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const departure = await Departure.findById(req.params.id).lean();
+    if (!departure) return res.status(404).send('Not found');
+    if (departure.seatsSold > 0) {
+      return res.status(400).send('This departure has sold seats and cannot be deleted');
+    }
+    await Departure.findByIdAndDelete(departure._id);
+    await recordAudit(req, { action: 'departure.delete', targetType: 'Departure', targetId: departure._id, targetLabel: departureLabel(departure), before: departure });
+    res.redirect(`/admin/products/${departure.product}/departures`);
+  } catch (err) {
+    console.error('Delete departure error', err);
+    res.status(500).send('Delete failed');
+  }
+});
+
+// Admin: category list with the number of products in each
+app.get('/admin/categories', adminOnly, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const [categories, counts] = await Promise.all([
+      Category.find({}).sort({ sortOrder: 1, name: 1 }).lean(),
+      Product.aggregate([{ $group: { _id: '$category', count: { $sum: 1 } } }])
+    ]);
+    const productCounts = Object.fromEntries(counts.map(c => [c._id, c.count]));
+    // Product categories that have no Category document (left over from free-text entry)
+    const orphans = counts.filter(c => !categories.some(cat => cat.slug === c._id));
+    res.render('admin/categories', { categories, productCounts, orphans });
+  } catch (err) {
+    console.error('Admin categories error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin: new category form
+app.get('/admin/categories/new', adminOnly, requirePermission('catalog:write'), (req, res) => {
+  res.render('admin/category_form', { category: null, error: null, action: '/admin/categories' });
+});
+
+// Read the category form fields from the request body
+function categoryFieldsFromBody(body) {
+  return {
+    name: body.name,
+    slug: body.slug ? slugify(body.slug) : slugify(body.name),
+    description: body.description,
+    heroImage: body.heroImage,
+    sortOrder: parseInt(body.sortOrder) || 0
+  };
+}
+
+// Friendly message for category save errors (duplicate slug, validation)
+function categoryErrorMessage(err) {
+  if (err.code === 11000) return 'A category with this slug already exists';
+  if (err.name === 'ValidationError') return Object.values(err.errors).map(e => e.message).join(', ');
+  return null;
+}
+
+// Admin: create category
+app.post('/admin/categories', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  const fields = categoryFieldsFromBody(req.body);
+  try {
+    const category = await Category.create(fields);
+    await recordAudit(req, { action: 'category.create', targetType: 'Category', targetId: category._id, targetLabel: category.name, after: category });
+    res.redirect('/admin/categories');
+  } catch (err) {
+    const message = categoryErrorMessage(err);
+    if (message) {
+      return res.status(400).render('admin/category_form', { category: fields, error: message, action: '/admin/categories' });
+    }
+    console.error('Create category error', err);
+    res.status(500).send('Create failed');
+  }
+});
+
+// Admin: edit category form
+app.get('/admin/categories/:id/edit', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).lean();
+    if (!category) return res.status(404).send('Not found');
+    res.render('admin/category_form', { category, error: null, action: `/admin/categories/${category._id}` });
+  } catch (err) {
+    console.error('Edit category error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin: update category (a slug change is carried over to its products and to the
+// coupons scoped to it)
+app.post('/admin/categories/:id', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  const fields = categoryFieldsFromBody(req.body);
+  try {
+    const category = await Category.findById(req.params.id);
+    if (!category) return res.status(404).send('Not found');
+    const before = category.toObject();
+    category.set(fields);
+    await category.save();
+    let moved = null;
+    let recoded = null;
+    if (before.slug !== category.slug) {
+      moved = await Product.updateMany({ category: before.slug }, { category: category.slug });
+      recoded = await Coupon.updateMany(
+        { categories: before.slug },
+        { $set: { 'categories.$[old]': category.slug } },
+        { arrayFilters: [{ old: before.slug }] }
+      );
+    }
+    await recordAudit(req, {
+      action: 'category.update',
+      targetType: 'Category',
+      targetId: category._id,
+      targetLabel: category.name,
+      before,
+      after: category,
+      reason: moved
+        ? `${moved.modifiedCount} product(s) and ${recoded.modifiedCount} coupon(s) moved to the new slug`
+        : undefined
+    });
+    res.redirect('/admin/categories');
+  } catch (err) {
+    const message = categoryErrorMessage(err);
+    if (message) {
+      return res.status(400).render('admin/category_form', {
+        category: { ...fields, _id: req.params.id },
+        error: message,
+        action: `/admin/categories/${req.params.id}`
+      });
+    }
+    console.error('Update category error', err);
+    res.status(500).send('Update failed');
+  }
+});
+
+// Admin: delete category (refused while products still use it)
+app.post('/admin/categories/:id/delete', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const category = await Category.findById(req.params.id).lean();
+    if (!category) return res.status(404).send('Not found');
+    const inUse = await Product.countDocuments({ category: category.slug });
+    if (inUse > 0) {
+      return res.status(400).send(`Category is used by ${inUse} product(s); move them to another category first`);
+    }
+    await Category.findByIdAndDelete(req.params.id);
+    await recordAudit(req, { action: 'category.delete', targetType: 'Category', targetId: category._id, targetLabel: category.name, before: category });
+    res.redirect('/admin/categories');
+  } catch (err) {
+    console.error('Delete category error', err);
+    res.status(500).send('Delete failed');
+  }
+});
+
+// ------------------ Admin: coupons ------------------
+
+// Admin: coupon list
+app.get('/admin/coupons', adminOnly, requirePermission('catalog:read'), async (req, res) => {
+  try {
+    const coupons = await Coupon.find({}).sort({ createdAt: -1 }).lean();
+    res.render('admin/coupons', { coupons, now: new Date() });
+  } catch (err) {
+    console.error('Admin coupons error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Categories and products for the coupon scope pickers
+async function loadCouponScopeOptions() {
+  const [categories, products] = await Promise.all([
+    loadCategoryOptions(),
+    Product.find({}, { name: 1 }).sort({ name: 1 }).lean()
+  ]);
+  return { categories, products };
+}
+
+// Multi-selects post a string for one value and an array for several
+function formList(value) {
+  if (value === undefined || value === '') return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+// Form dates are entered in UTC (datetime-local inputs have no time zone)
+function formDate(value) {
+  if (!value) return undefined;
+  const date = new Date(`${value}Z`);
+  return isNaN(date) ? undefined : date;
+}
+
+// Read the coupon form fields from the request body
+function couponFieldsFromBody(body) {
+  return {
+    code: normalizeCouponCode(body.code),
+    description: body.description,
+    type: body.type,
+    value: parseFloat(body.value) || 0,
+    minOrderValue: parseFloat(body.minOrderValue) || 0,
+    categories: formList(body.categories),
+    products: formList(body.products).filter(id => mongoose.isValidObjectId(id)),
+    maxUses: optionalNumber(body.maxUses),
+    maxUsesPerEmail: optionalNumber(body.maxUsesPerEmail),
+    startsAt: formDate(body.startsAt),
+    endsAt: formDate(body.endsAt),
+    active: body.active === 'on'
+  };
+}
+
+// Friendly message for coupon save errors (duplicate code, validation)
+function couponErrorMessage(err) {
+  if (err.code === 11000) return 'A coupon with this code already exists';
+  if (err.name === 'ValidationError') return Object.values(err.errors).map(e => e.message).join(', ');
+  return null;
+}
+
+// Admin: new coupon form
+app.get('/admin/coupons/new', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    res.render('admin/coupon_form', { coupon: null, error: null, action: '/admin/coupons', ...(await loadCouponScopeOptions()) });
+  } catch (err) {
+    console.error('New coupon error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin: create coupon
+app.post('/admin/coupons', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  const fields = couponFieldsFromBody(req.body);
+  try {
+    const coupon = await Coupon.create(fields);
+    await recordAudit(req, { action: 'coupon.create', targetType: 'Coupon', targetId: coupon._id, targetLabel: coupon.code, after: coupon });
+    res.redirect('/admin/coupons');
+  } catch (err) {
+    const message = couponErrorMessage(err);
+    if (message) {
+      return res.status(400).render('admin/coupon_form', {
+        coupon: fields, error: message, action: '/admin/coupons', ...(await loadCouponScopeOptions())
+      });
+    }
+    console.error('Create coupon error', err);
+    res.status(500).send('Create failed');
+  }
+});
+
+// Admin: edit coupon form
+app.get('/admin/coupons/:id/edit', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id).lean();
+    if (!coupon) return res.status(404).send('Not found');
+    res.render('admin/coupon_form', {
+      coupon, error: null, action: `/admin/coupons/${coupon._id}`, ...(await loadCouponScopeOptions())
+    });
+  } catch (err) {
+    console.error('Edit coupon error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin: update coupon (the usage count is kept)
+app.post('/admin/coupons/:id', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  const fields = couponFieldsFromBody(req.body);
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).send('Not found');
+    const before = coupon.toObject();
+    coupon.set(fields);
+    await coupon.save();
+    await recordAudit(req, { action: 'coupon.update', targetType: 'Coupon', targetId: coupon._id, targetLabel: coupon.code, before, after: coupon });
+    res.redirect('/admin/coupons');
+  } catch (err) {
+    const message = couponErrorMessage(err);
+    if (message) {
+      return res.status(400).render('admin/coupon_form', {
+        coupon: { ...fields, _id: req.params.id },
+        error: message,
+        action: `/admin/coupons/${req.params.id}`,
+        ...(await loadCouponScopeOptions())
+      });
+    }
+    console.error('Update coupon error', err);
+    res.status(500).send('Update failed');
+  }
+});
+
+// Admin: delete coupon (orders keep their copy of the discount)
+app.post('/admin/coupons/:id/delete', adminOnly, requirePermission('catalog:write'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findByIdAndDelete(req.params.id).lean();
+    if (coupon) {
+      await recordAudit(req, { action: 'coupon.delete', targetType: 'Coupon', targetId: coupon._id, targetLabel: coupon.code, before: coupon });
+    }
+    res.redirect('/admin/coupons');
+  } catch (err) {
+    console.error('Delete coupon error', err);
+    res.status(500).send('Delete failed');
+  }
+});
+
+// Lifecycle moves an admin makes with the order buttons, and their labels. Cancelling and
+// refunding go through /cancel, which also gives the money, seats and coupon use back.
+const ADMIN_STATUS_ACTIONS = {
+  Paid: 'Mark as paid',
+  Confirmed: 'Confirm',
+  Travelled: 'Mark travelled',
+  Completed: 'Complete'
+};
+
+// Who to record in an order's status history for an admin request
+function adminActor(req) {
+  return req.admin ? req.admin.email : 'admin';
+}
+
+// What an order status change is recorded with in the audit log
+function orderAuditFields(order) {
+  return { status: order.status, paymentStatus: order.paymentStatus };
+}
+
+// Status forms post from the order list or from the order page; go back where they came from
+function orderAdminRedirect(req) {
+  return req.body.from === 'detail' ? `/admin/orders/${req.params.id}` : '/admin/orders';
+}
+
 // Admin: orders list
-app.get('/admin/orders', adminOnly, async (req, res) => {
+// ?ref= looks up one order by number or id (e.g. read out by a customer on the phone)
+app.get('/admin/orders', adminOnly, requirePermission('orders:read'), async (req, res) => {
   try {
+    const ref = (req.query.ref || '').trim();
+    let lookupError = null;
+    if (ref) {
+      const found = await findOrderByReference(ref);
+      if (found) return res.redirect(`/admin/orders/${found._id}`);
+      lookupError = `No order found for "${ref}"`;
+    }
     const orders = await Order.find({}).sort({ createdAt: -1 }).lean();
-    res.render('admin/orders', { orders });
+    res.render('admin/orders', {
+      orders,
+      ref,
+      lookupError,
+      transitions: Order.STATUS_TRANSITIONS,
+      statusActions: ADMIN_STATUS_ACTIONS
+    });
   } catch (err) {
     console.error('Admin orders error', err);
     res.status(500).send('Server error');
   }
 });
 
-// Admin: mark order as confirmed
-app.post('/admin/orders/:id/confirm', adminOnly, async (req, res) => {
+// Admin: order detail by id or order number (contact, billing, items, totals, payments and status timeline)
+app.get('/admin/orders/:id', adminOnly, requirePermission('orders:read'), async (req, res) => {
   try {
-    await Order.findByIdAndUpdate(req.params.id, { status: 'Confirmed' });
-    res.redirect('/admin/orders');
+    const order = await findOrderByReference(req.params.id);
+    if (!order) return res.status(404).send('Order not found');
+    res.render('admin/order_detail', {
+      order,
+      countries: countryOptions(),
+      transitions: Order.STATUS_TRANSITIONS,
+      statusActions: ADMIN_STATUS_ACTIONS
+    });
   } catch (err) {
-    console.error('Confirm order error', err);
+    console.error('Admin order detail error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// Admin: move an order along its lifecycle (Pending -> Paid -> Confirmed -> Travelled -> Completed)
+app.post('/admin/orders/:id/status', adminOnly, requirePermission('orders:write'), async (req, res) => {
+  const to = req.body.status;
+  if (!Object.prototype.hasOwnProperty.call(ADMIN_STATUS_ACTIONS, to)) {
+    return res.status(400).send('Unknown status');
+  }
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).send('Order not found');
+    const current = await Order.findById(req.params.id, { status: 1, paymentStatus: 1 }).lean();
+    if (!current) return res.status(404).send('Order not found');
+    // Marking as paid by hand is for money that arrived outside the payment provider
+    // (e.g. a bank transfer reconciled from the statement)
+    const set = to === 'Paid' ? { paymentStatus: 'paid' } : {};
+    const reason = (req.body.reason || '').trim() || undefined;
+    const order = await Order.transition(req.params.id, to, { actor: adminActor(req), reason, set });
+    if (!order) return res.status(404).send('Order not found');
+    // The status it actually moved from (another admin may have changed it since the read)
+    const { from } = order.statusHistory[order.statusHistory.length - 1];
+    await recordAudit(req, {
+      action: 'order.status',
+      targetType: 'Order',
+      targetId: order._id,
+      targetLabel: order.orderNumber,
+      before: { ...orderAuditFields(current), status: from },
+      after: orderAuditFields(order),
+      reason
+    });
+    res.redirect(orderAdminRedirect(req));
+  } catch (err) {
+    if (err.message.startsWith('Status change not allowed')) {
+      return res.status(409).send(err.message);
+    }
+    console.error('Order status error', err);
     res.status(500).send('Update failed');
   }
 });
 
-// Admin: cancel order
-app.post('/admin/orders/:id/cancel', adminOnly, async (req, res) => {
+// Admin: cancel order. A paid order is refunded (through its payment provider when it was
+// paid there) and ends as Refunded; an unpaid one ends as Cancelled.
+app.post('/admin/orders/:id/cancel', adminOnly, requirePermission('orders:write'), async (req, res) => {
   try {
-    await Order.findByIdAndUpdate(req.params.id, { status: 'Cancelled' });
-    res.redirect('/admin/orders');
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).send('Order not found');
+    const current = await Order.findById(req.params.id).lean();
+    if (!current) return res.status(404).send('Order not found');
+
+    const to = current.paymentStatus === 'paid' ? 'Refunded' : 'Cancelled';
+    if (!Order.canTransition(current.status, to)) {
+      return res.status(409).send(`Status change not allowed: ${current.status} -> ${to}`);
+    }
+
+    if (current.paymentIntents.some(pi => pi.status === 'refunding')) {
+      return res.status(409).send('A refund for this order is already in progress');
+    }
+
+    // Money goes back first: if the refund fails the order is left as it is. The refund
+    // is claimed with a conditional update before the provider is called, so of two
+    // cancels running together (double-click, two admins) only one refunds.
+    const paid = current.paymentIntents.find(pi => pi.status === 'captured');
+    if (paid) {
+      const claim = await Order.updateOne(
+        { _id: current._id, status: current.status, paymentIntents: { $elemMatch: { intentId: paid.intentId, status: 'captured' } } },
+        { $set: { 'paymentIntents.$.status': 'refunding', 'paymentIntents.$.updatedAt': new Date() } }
+      );
+      if (claim.modifiedCount !== 1) {
+        return res.status(409).send('The order was changed by someone else - reload and try again');
+      }
+      try {
+        await getProvider(paid.provider).refund(paid.intentId, paid.amount);
+      } catch (refundError) {
+        console.error('Refund error', refundError);
+        await Order.updateOne(
+          { _id: current._id, paymentIntents: { $elemMatch: { intentId: paid.intentId, status: 'refunding' } } },
+          { $set: { 'paymentIntents.$.status': 'captured', 'paymentIntents.$.updatedAt': new Date() } }
+        );
+        return res.status(502).send('Refund failed - the order was not cancelled');
+      }
+    }
+
+    const change = {
+      actor: adminActor(req),
+      reason: (req.body.reason || '').trim() || (to === 'Refunded' ? 'Cancelled and refunded by admin' : 'Cancelled by admin'),
+      set: {}
+    };
+    if (to === 'Refunded') change.set.paymentStatus = 'refunded';
+    if (paid) {
+      change.set['paymentIntents.$[paid].status'] = 'refunded';
+      change.set['paymentIntents.$[paid].updatedAt'] = new Date();
+      change.arrayFilters = [{ 'paid.intentId': paid.intentId }];
+    }
+    // Only the request that actually moves the order gives the seats back
+    let order;
+    try {
+      order = await Order.transition(req.params.id, to, change);
+    } catch (transitionError) {
+      // Moved on meanwhile (e.g. marked as travelled): the money is back with the
+      // customer all the same, so the payment says so
+      if (paid) {
+        await Order.updateOne(
+          { _id: current._id },
+          { $set: { ...change.set, paymentStatus: 'refunded' } },
+          { arrayFilters: change.arrayFilters }
+        );
+      }
+      throw transitionError;
+    }
+    if (order) {
+      await releaseOrderInventory(order);
+      await recordAudit(req, {
+        action: to === 'Refunded' ? 'order.refund' : 'order.cancel',
+        targetType: 'Order',
+        targetId: order._id,
+        targetLabel: order.orderNumber,
+        before: orderAuditFields(current),
+        after: orderAuditFields(order),
+        reason: change.reason
+      });
+    }
+    res.redirect(orderAdminRedirect(req));
   } catch (err) {
+    if (err.message.startsWith('Status change not allowed')) {
+      return res.status(409).send(err.message);
+    }
     console.error('Cancel order error', err);
     res.status(500).send('Update failed');
   }
 });
 
 
+// Admin: staff accounts and roles (owners only)
+async function renderStaff(req, res, status, values, error) {
+  const staff = await AdminUser.find({}).sort({ createdAt: 1 }).lean();
+  res.status(status).render('admin/staff', { staff, roles, values, error, now: new Date() });
+}
+
+app.get('/admin/staff', adminOnly, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    await renderStaff(req, res, 200, {}, null);
+  } catch (err) {
+    console.error('Admin staff error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+app.post('/admin/staff', adminOnly, requirePermission('staff:manage'), async (req, res) => {
+  const values = {
+    email: String(req.body.email || '').trim().toLowerCase(),
+    name: String(req.body.name || '').trim(),
+    role: req.body.role
+  };
+  try {
+    const problem = passwordProblem(req.body.password);
+    if (problem) return await renderStaff(req, res, 400, values, problem);
+    const admin = await AdminUser.create({ ...values, passwordHash: await hashPassword(req.body.password) });
+    await recordAudit(req, { action: 'staff.create', targetType: 'AdminUser', targetId: admin._id, targetLabel: admin.email, after: admin });
+    res.redirect('/admin/staff');
+  } catch (err) {
+    if (err.name === 'ValidationError' || err.code === 11000) {
+      const message = err.code === 11000
+        ? 'An admin with this email already exists'
+        : Object.values(err.errors).map(e => e.message).join('. ');
+      return renderStaff(req, res, 400, values, message);
+    }
+    console.error('Create admin error', err);
+    res.status(500).send('Save failed');
+  }
+});
+
+// Change role / (de)activate / unlock. Owners cannot change their own account, so there
+// is always an owner left who can manage staff.
+app.post('/admin/staff/:id', adminOnly, requirePermission('staff:manage'), async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).send('Not found');
+    if (String(req.admin._id) === req.params.id) {
+      return res.status(400).send('You cannot change your own role or access');
+    }
+    const update = { $set: {} };
+    if (req.body.role !== undefined) {
+      if (!Object.prototype.hasOwnProperty.call(roles, req.body.role)) return res.status(400).send('Unknown role');
+      update.$set.role = req.body.role;
+    }
+    if (req.body.active !== undefined) update.$set.active = req.body.active === 'true';
+    if (req.body.unlock) {
+      update.$set.failedLogins = 0;
+      update.$unset = { lockedUntil: 1 };
+    }
+    const before = await AdminUser.findById(req.params.id).lean();
+    if (!before) return res.status(404).send('Not found');
+    const admin = await AdminUser.findByIdAndUpdate(req.params.id, update, { new: true }).lean();
+    if (!admin) return res.status(404).send('Not found');
+    await recordAudit(req, { action: 'staff.update', targetType: 'AdminUser', targetId: admin._id, targetLabel: admin.email, before, after: admin });
+    res.redirect('/admin/staff');
+  } catch (err) {
+    console.error('Update admin error', err);
+    res.status(500).send('Update failed');
+  }
+});
+
+// ------------------ Admin: audit log ------------------
+
+const AUDIT_PAGE_SIZE = 100;
+
+// Audit log filters from the query string: { filter, values } (values refill the form).
+// Dates are whole UTC days, both ends included.
+function auditFilterFromQuery(query) {
+  const values = {};
+  ['actor', 'action', 'targetType', 'target', 'from', 'to'].forEach(name => {
+    values[name] = typeof query[name] === 'string' ? query[name].trim() : '';
+  });
+  const filter = {};
+  if (values.actor) filter.actor = values.actor.toLowerCase();
+  if (values.action) filter.action = values.action;
+  if (values.targetType) filter.targetType = values.targetType;
+  if (values.target) {
+    // An id, or part of the name / code / order number
+    filter.$or = [{ targetId: values.target }, { targetLabel: new RegExp(escapeRegExp(values.target), 'i') }];
+  }
+  const from = new Date(`${values.from}T00:00:00Z`);
+  const to = new Date(`${values.to}T00:00:00Z`);
+  if (!isNaN(from)) filter.at = { $gte: from };
+  if (!isNaN(to)) filter.at = { ...filter.at, $lt: new Date(to.getTime() + 24 * 60 * 60 * 1000) };
+  return { filter, values };
+}
+
+// One before/after value as text (for the page and the CSV)
+function auditValue(value) {
+  if (value === undefined || value === null || value === '') return '-';
+  if (value instanceof Date) return value.toISOString();
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+// Admin: audit log of admin changes, newest first, with filters
+app.get('/admin/audit', adminOnly, requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { filter, values } = auditFilterFromQuery(req.query);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const [events, total, actions, targetTypes] = await Promise.all([
+      AuditEvent.find(filter).sort({ at: -1 }).skip((page - 1) * AUDIT_PAGE_SIZE).limit(AUDIT_PAGE_SIZE).lean(),
+      AuditEvent.countDocuments(filter),
+      AuditEvent.distinct('action'),
+      AuditEvent.distinct('targetType')
+    ]);
+    // Page links and the CSV export keep the filters
+    const query = new URLSearchParams(Object.entries(values).filter(([, value]) => value)).toString();
+    res.render('admin/audit', {
+      events,
+      values,
+      query,
+      page,
+      pages: Math.max(Math.ceil(total / AUDIT_PAGE_SIZE), 1),
+      total,
+      actions: actions.sort(),
+      targetTypes: targetTypes.sort(),
+      auditValue
+    });
+  } catch (err) {
+    console.error('Admin audit error', err);
+    res.status(500).send('Server error');
+  }
+});
+
+// One CSV cell. Quoted, and text that a spreadsheet would run as a formula is prefixed
+// with an apostrophe.
+function csvCell(value) {
+  let text = value === undefined || value === null ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+}
+
+// Admin: the filtered audit log as CSV (every matching event, not just one page)
+app.get('/admin/audit.csv', adminOnly, requirePermission('audit:read'), async (req, res) => {
+  const { filter } = auditFilterFromQuery(req.query);
+  try {
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(`audit-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.write('at,actor,action,target_type,target_id,target_label,changes,reason,ip\r\n');
+    // Streamed, so a long period does not have to fit in memory
+    const cursor = AuditEvent.find(filter).sort({ at: -1 }).lean().cursor();
+    for await (const event of cursor) {
+      const changes = event.changes
+        .map(change => `${change.field}: ${auditValue(change.before)} -> ${auditValue(change.after)}`)
+        .join('; ');
+      const row = [
+        event.at.toISOString(), event.actor, event.action, event.targetType, event.targetId,
+        event.targetLabel, changes, event.reason, event.ip
+      ];
+      res.write(row.map(csvCell).join(',') + '\r\n');
+    }
+    res.end();
+  } catch (err) {
+    console.error('Audit export error', err);
+    // Once rows were sent the status cannot change; cut the file short instead
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).send('Export failed');
+  }
+});
+
 // Fallback: if a request targets a .html file that still exists in root (legacy), serve it
 app.get('/*.html', (req, res, next) => {
   const candidate = path.join(__dirname, req.path);
@@ -687,6 +3169,24 @@ app.use((req, res) => {
   res.status(404).send('404 - Not Found');
 });
 
-app.listen(PORT, () => {
-  console.log(`Express server running on http://localhost:${PORT}`);
-});
+// Connect and listen only when started directly (npm start); the tests import the app
+// and connect it to their own database
+if (require.main === module) {
+  const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://127.0.0.1:27017/we-travel';
+  mongoose.connect(MONGODB_URI, { useNewUrlParser: true, useUnifiedTopology: true })
+    .then(() => console.log('Connected to MongoDB'))
+    .then(() => {
+      // Orders whose 3-D Secure / PayPal approval was abandoned give their seats back
+      setInterval(() => {
+        expireAbandonedPayments().catch(err => console.error('Payment expiry sweep error', err));
+      }, PAYMENT_SWEEP_INTERVAL_MS).unref();
+    })
+    .then(ensureFirstAdmin)
+    .catch(err => console.error('MongoDB connection error:', err));
+
+  app.listen(PORT, () => {
+    console.log(`Express server running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = app;
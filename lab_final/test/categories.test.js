@@ -0,0 +1,70 @@
+// Renaming a category's slug carries over to everything that stores it: its products and
+// the coupons scoped to it (POST /admin/categories/:id)
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const { startStandalone } = require('./support/database');
+const app = require('../server');
+const AdminUser = require('../models/AdminUser');
+const Category = require('../models/Category');
+const Coupon = require('../models/Coupon');
+const Product = require('../models/Product');
+
+const ADMIN_EMAIL = 'owner@example.com';
+
+describe('Category slug change', function () {
+  let database;
+  let agent;
+  let csrfToken;
+
+  before(async function () {
+    process.env.ADMIN_AUTH_TEST_MODE = '1'; // x-user-email logs in as that admin
+    database = await startStandalone();
+    await mongoose.connect(database.getUri());
+  });
+
+  after(async function () {
+    delete process.env.ADMIN_AUTH_TEST_MODE;
+    await mongoose.disconnect();
+    if (database) await database.stop();
+  });
+
+  beforeEach(async function () {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+    await AdminUser.create({ email: ADMIN_EMAIL, role: 'owner', passwordHash: 'unused' });
+    agent = request.agent(app);
+    const page = await agent.get('/').expect(200);
+    csrfToken = page.text.match(/<meta name="csrf-token" content="([^"]+)">/)[1];
+  });
+
+  function updateCategory(category, fields) {
+    return agent.post(`/admin/categories/${category._id}`)
+      .set('x-user-email', ADMIN_EMAIL)
+      .type('form')
+      .send({ _csrf: csrfToken, name: category.name, sortOrder: 0, ...fields });
+  }
+
+  it('moves products and category-scoped coupons to the new slug', async function () {
+    const category = await Category.create({ name: 'City breaks', slug: 'city-breaks' });
+    const product = await Product.create({ name: 'Lisbon City Walk', price: 100, category: 'city-breaks' });
+    const scoped = await Coupon.create({ code: 'CITY10', type: 'percent', value: 10, categories: ['beach', 'city-breaks'] });
+    const other = await Coupon.create({ code: 'BEACH5', type: 'fixed', value: 5, categories: ['beach'] });
+
+    await updateCategory(category, { slug: 'short-breaks' }).expect(302);
+
+    assert.strictEqual((await Product.findById(product._id).lean()).category, 'short-breaks');
+    assert.deepStrictEqual((await Coupon.findById(scoped._id).lean()).categories, ['beach', 'short-breaks']);
+    assert.deepStrictEqual((await Coupon.findById(other._id).lean()).categories, ['beach']);
+  });
+
+  it('leaves coupons alone when the slug stays the same', async function () {
+    const category = await Category.create({ name: 'City breaks', slug: 'city-breaks' });
+    const scoped = await Coupon.create({ code: 'CITY10', type: 'percent', value: 10, categories: ['city-breaks'] });
+
+    await updateCategory(category, { name: 'City trips', slug: 'city-breaks' }).expect(302);
+
+    assert.deepStrictEqual((await Coupon.findById(scoped._id).lean()).categories, ['city-breaks']);
+  });
+});
@@ -0,0 +1,7 @@
+const { startReplicaSet } = require('./support/database');
+const { describeOrderRollback } = require('./support/orderRollback');
+
+describeOrderRollback('Order placement rollback (replica set, transactions)', {
+  startDatabase: startReplicaSet,
+  transactions: true
+});
@@ -0,0 +1,7 @@
+const { startStandalone } = require('./support/database');
+const { describeOrderRollback } = require('./support/orderRollback');
+
+describeOrderRollback('Order placement rollback (standalone server, undo steps)', {
+  startDatabase: startStandalone,
+  transactions: false
+});
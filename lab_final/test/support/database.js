@@ -0,0 +1,34 @@
+// Throwaway MongoDB servers for the tests (mongodb-memory-server).
+//
+// The mongod binary is downloaded from fastdl.mongodb.org on first use (version under
+// `config.mongodbMemoryServer` in package.json) and cached. Offline, set
+// MONGOMS_SYSTEM_BINARY to a local mongod (5.0 or newer) and that one is used instead.
+
+const fs = require('fs');
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+
+const HINT = 'Set MONGOMS_SYSTEM_BINARY to the path of a local mongod to run the tests without downloading one.';
+
+async function start(create) {
+  const binary = process.env.MONGOMS_SYSTEM_BINARY;
+  if (binary && !fs.existsSync(binary)) {
+    throw new Error(`MONGOMS_SYSTEM_BINARY is set to ${binary}, which does not exist`);
+  }
+  try {
+    return await create();
+  } catch (err) {
+    throw new Error(`Could not start MongoDB for the tests: ${err.message}\n${binary ? '' : HINT}`);
+  }
+}
+
+// Single server: no transactions, order placement uses its undo steps
+function startStandalone() {
+  return start(() => MongoMemoryServer.create());
+}
+
+// One-member replica set: transactions are available
+function startReplicaSet() {
+  return start(() => MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } }));
+}
+
+module.exports = { startStandalone, startReplicaSet };
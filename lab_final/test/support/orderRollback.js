@@ -0,0 +1,139 @@
+// Order placement (POST /api/orders) must keep nothing when it fails partway: the seats
+// taken on the departure, the coupon use and the order itself are all given back.
+//
+// The same cases run against a replica set (transactions) and a standalone server (undo
+// steps, see utils/transaction.js). Each topology is its own mocha run (npm test), as
+// supportsTransactions() is checked once per process.
+
+const assert = require('assert');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+const app = require('../../server');
+const Product = require('../../models/Product');
+const Departure = require('../../models/Departure');
+const Coupon = require('../../models/Coupon');
+const Order = require('../../models/Order');
+const mockGateway = require('../../payments/mock');
+const { supportsTransactions } = require('../../utils/transaction');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHECKOUT = {
+  customerName: 'Test Buyer',
+  email: 'buyer@example.com',
+  country: 'USA',
+  paymentMethod: 'card',
+  cardName: 'Test Buyer',
+  cardNumber: '4242424242424242', // approved by the mock gateway
+  cardExpiry: '12/30',
+  cardCVV: '123'
+};
+
+/**
+ * @param {string} title - Suite name
+ * @param {Object} options - { startDatabase: from ./database,
+ *   transactions: whether that server runs transactions }
+ */
+function describeOrderRollback(title, { startDatabase, transactions }) {
+  describe(title, function () {
+    let database;
+    let departure;
+    let coupon;
+    let agent;
+    let csrfToken;
+    const restore = [];
+
+    // Replace a method for one test
+    function stub(object, method, replacement) {
+      const original = object[method];
+      object[method] = replacement;
+      restore.push(() => { object[method] = original; });
+    }
+
+    function placeOrder() {
+      return agent.post('/api/orders').set('X-CSRF-Token', csrfToken).send(CHECKOUT);
+    }
+
+    async function assertNothingKept() {
+      const [departureNow, couponNow, orders] = await Promise.all([
+        Departure.findById(departure._id).lean(),
+        Coupon.findById(coupon._id).lean(),
+        Order.countDocuments()
+      ]);
+      assert.strictEqual(departureNow.seatsSold, 0, 'seats are given back');
+      assert.strictEqual(couponNow.timesUsed, 0, 'the coupon use is given back');
+      assert.strictEqual(orders, 0, 'no order is kept');
+    }
+
+    before(async function () {
+      database = await startDatabase();
+      await mongoose.connect(database.getUri());
+      assert.strictEqual(await supportsTransactions(), transactions);
+    });
+
+    after(async function () {
+      await mongoose.disconnect();
+      if (database) await database.stop();
+    });
+
+    // A cart with two seats on a departure and a promo code, ready for checkout
+    beforeEach(async function () {
+      await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+      const product = await Product.create({ name: 'Lisbon City Walk', price: 100, category: 'city-breaks' });
+      departure = await Departure.create({ product: product._id, date: new Date(Date.now() + 30 * DAY_MS), seatsTotal: 10 });
+      coupon = await Coupon.create({ code: 'SAVE10', type: 'percent', value: 10 });
+
+      agent = request.agent(app);
+      const page = await agent.get('/').expect(200);
+      csrfToken = page.text.match(/<meta name="csrf-token" content="([^"]+)">/)[1];
+      await agent.post('/api/cart/items')
+        .set('X-CSRF-Token', csrfToken)
+        .send({ productId: String(product._id), departureId: String(departure._id), quantity: 2 })
+        .expect(res => assert.ok(res.status < 300, res.text));
+      await agent.post('/api/cart/coupon')
+        .set('X-CSRF-Token', csrfToken)
+        .send({ code: 'SAVE10' })
+        .expect(200);
+    });
+
+    afterEach(function () {
+      restore.splice(0).reverse().forEach(undo => undo());
+    });
+
+    it('keeps the seats, the coupon use and the order when it succeeds', async function () {
+      const res = await placeOrder().expect(201);
+      const [departureNow, couponNow, order] = await Promise.all([
+        Departure.findById(departure._id).lean(),
+        Coupon.findById(coupon._id).lean(),
+        Order.findById(res.body.orderId).lean()
+      ]);
+      assert.strictEqual(departureNow.seatsSold, 2);
+      assert.strictEqual(couponNow.timesUsed, 1);
+      assert.strictEqual(order.status, 'Paid');
+    });
+
+    it('gives back the seats and the coupon use when the payment provider fails', async function () {
+      stub(mockGateway, 'authorize', async () => { throw new Error('Payment gateway timeout'); });
+      await placeOrder().expect(500);
+      await assertNothingKept();
+    });
+
+    it('gives everything back and refunds the payment when a write fails after the order was created', async function () {
+      const refunded = [];
+      const refund = mockGateway.refund;
+      stub(mockGateway, 'refund', (intentId, amount) => {
+        refunded.push(intentId);
+        return refund(intentId, amount);
+      });
+      // The last write of the placement (sales counts), after the order was created
+      stub(Product, 'bulkWrite', async () => { throw new Error('Write failed'); });
+
+      await placeOrder().expect(500);
+      await assertNothingKept();
+      assert.strictEqual(refunded.length, 1, 'the captured payment is refunded');
+      assert.strictEqual((await mockGateway.retrieve(refunded[0])).status, 'refunded');
+    });
+  });
+}
+
+module.exports = { describeOrderRollback };
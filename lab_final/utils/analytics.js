@@ -0,0 +1,214 @@
+// Sales figures for the admin dashboard, computed by MongoDB aggregations over the
+// orders placed in a date range (Order.createdAt, whole UTC days)
+
+const Order = require('../models/Order');
+const Category = require('../models/Category');
+const { roundMoney } = require('./charges');
+
+// Orders whose money counts as sales: Pending is not paid yet, Cancelled and Refunded
+// orders gave it back
+const REVENUE_STATUSES = ['Paid', 'Confirmed', 'Travelled', 'Completed'];
+const INTERVALS = ['day', 'week', 'month'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 3 * 366;
+
+const isSale = { $in: ['$status', REVENUE_STATUSES] };
+// What a line earned: its total after its share of the order discount (taxes and fees
+// are order-level and not part of any product's revenue)
+const lineRevenue = {
+  $subtract: [
+    { $ifNull: ['$items.lineTotal', { $multiply: ['$items.price', '$items.quantity'] }] },
+    { $ifNull: ['$items.discount', 0] }
+  ]
+};
+
+function dayString(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Date range from ?from=YYYY-MM-DD&to=YYYY-MM-DD, both days included; either end can be
+ * left out (default: the last 30 days up to today).
+ * @returns {{ from: Date, to: Date } | { error: string }} to is the start of the day after the range
+ */
+function rangeFromQuery(query) {
+  // A day that does not exist (2026-02-30) would roll over into the next month; refused instead
+  const parse = (value) => {
+    if (!value) return null;
+    const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T00:00:00Z` : NaN);
+    return isNaN(date) || dayString(date) !== value ? new Date(NaN) : date;
+  };
+  const last = parse(query.to) || new Date(`${dayString(new Date())}T00:00:00Z`);
+  const first = parse(query.from) || new Date(last.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (isNaN(first) || isNaN(last)) return { error: 'Dates must be given as YYYY-MM-DD' };
+  if (first > last) return { error: 'The start date must not be after the end date' };
+  if ((last - first) / DAY_MS >= MAX_RANGE_DAYS) return { error: `The range can be at most ${MAX_RANGE_DAYS} days` };
+  return { from: first, to: new Date(last.getTime() + DAY_MS) };
+}
+
+// The range as the dashboard shows it (inclusive end day)
+function rangeJson(range) {
+  return { from: dayString(range.from), to: dayString(new Date(range.to.getTime() - DAY_MS)) };
+}
+
+function placedIn(range) {
+  return { createdAt: { $gte: range.from, $lt: range.to } };
+}
+
+/**
+ * Totals for the range: orders placed, revenue and average value of the paid ones,
+ * cancellation rate (Cancelled or Refunded out of all placed, 0-1) and the number and
+ * value of orders in each status.
+ */
+async function salesSummary(range) {
+  const [result] = await Order.aggregate([
+    { $match: placedIn(range) },
+    {
+      $facet: {
+        totals: [{
+          $group: {
+            _id: null,
+            orders: { $sum: 1 },
+            paidOrders: { $sum: { $cond: [isSale, 1, 0] } },
+            revenue: { $sum: { $cond: [isSale, '$totalAmount', 0] } },
+            closed: { $sum: { $cond: [{ $in: ['$status', Order.CLOSED_STATUSES] }, 1, 0] } }
+          }
+        }],
+        statuses: [
+          { $group: { _id: '$status', orders: { $sum: 1 }, amount: { $sum: '$totalAmount' } } },
+          { $sort: { orders: -1, _id: 1 } }
+        ]
+      }
+    }
+  ]);
+  const totals = result.totals[0] || { orders: 0, paidOrders: 0, revenue: 0, closed: 0 };
+  return {
+    range: rangeJson(range),
+    orders: totals.orders,
+    paidOrders: totals.paidOrders,
+    revenue: roundMoney(totals.revenue),
+    averageOrderValue: totals.paidOrders ? roundMoney(totals.revenue / totals.paidOrders) : 0,
+    cancellationRate: totals.orders ? Math.round((totals.closed / totals.orders) * 1000) / 1000 : 0,
+    statuses: result.statuses.map(row => ({ status: row._id, orders: row.orders, amount: roundMoney(row.amount) }))
+  };
+}
+
+// First day of the day / week (Monday) / month that contains date
+function periodStart(date, interval) {
+  if (interval === 'month') return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1));
+  const day = new Date(`${dayString(date)}T00:00:00Z`);
+  if (interval === 'week') return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS);
+  return day;
+}
+
+function nextPeriod(start, interval) {
+  if (interval === 'month') return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1));
+  return new Date(start.getTime() + (interval === 'week' ? 7 : 1) * DAY_MS);
+}
+
+/**
+ * Orders placed and revenue per day, week (starting Monday) or month. Periods without
+ * orders are included with zeros so charts keep a regular time axis.
+ * @param {Object} range - From rangeFromQuery
+ * @param {string} interval - 'day' | 'week' | 'month'
+ */
+async function salesSeries(range, interval) {
+  const rows = await Order.aggregate([
+    { $match: placedIn(range) },
+    {
+      $group: {
+        _id: {
+          $dateTrunc: {
+            date: '$createdAt',
+            unit: interval,
+            timezone: 'UTC',
+            ...(interval === 'week' ? { startOfWeek: 'monday' } : {})
+          }
+        },
+        orders: { $sum: 1 },
+        paidOrders: { $sum: { $cond: [isSale, 1, 0] } },
+        revenue: { $sum: { $cond: [isSale, '$totalAmount', 0] } }
+      }
+    }
+  ]);
+  const byPeriod = new Map(rows.map(row => [row._id.getTime(), row]));
+  const points = [];
+  for (let start = periodStart(range.from, interval); start < range.to; start = nextPeriod(start, interval)) {
+    const row = byPeriod.get(start.getTime()) || { orders: 0, paidOrders: 0, revenue: 0 };
+    points.push({
+      period: dayString(start),
+      orders: row.orders,
+      revenue: roundMoney(row.revenue),
+      averageOrderValue: row.paidOrders ? roundMoney(row.revenue / row.paidOrders) : 0
+    });
+  }
+  return { range: rangeJson(range), interval, points };
+}
+
+/**
+ * Best-selling products by revenue (paid orders only, after discounts, before taxes
+ * and fees). Products deleted since are still listed under the name on the order.
+ */
+async function topProducts(range, limit) {
+  const rows = await Order.aggregate([
+    { $match: { ...placedIn(range), status: { $in: REVENUE_STATUSES } } },
+    { $sort: { createdAt: -1 } }, // so $first picks the latest name
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $ifNull: ['$items.product', '$items.name'] },
+        name: { $first: '$items.name' },
+        bookings: { $sum: 1 },
+        travelers: { $sum: '$items.quantity' },
+        revenue: { $sum: lineRevenue }
+      }
+    },
+    { $sort: { revenue: -1, name: 1 } },
+    { $limit: limit }
+  ]);
+  return {
+    range: rangeJson(range),
+    products: rows.map(row => ({
+      productId: row._id, name: row.name, bookings: row.bookings, travelers: row.travelers, revenue: roundMoney(row.revenue)
+    }))
+  };
+}
+
+/**
+ * Categories by revenue, counted like topProducts. Lines are grouped by the category the
+ * product had when it was ordered; older orders without one are "Uncategorized".
+ */
+async function topCategories(range, limit) {
+  const rows = await Order.aggregate([
+    { $match: { ...placedIn(range), status: { $in: REVENUE_STATUSES } } },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: { $ifNull: ['$items.category', null] },
+        bookings: { $sum: 1 },
+        travelers: { $sum: '$items.quantity' },
+        revenue: { $sum: lineRevenue }
+      }
+    },
+    { $sort: { revenue: -1, _id: 1 } },
+    { $limit: limit },
+    { $lookup: { from: Category.collection.name, localField: '_id', foreignField: 'slug', as: 'category' } },
+    {
+      $project: {
+        bookings: 1,
+        travelers: 1,
+        revenue: 1,
+        name: { $ifNull: [{ $first: '$category.name' }, { $ifNull: ['$_id', 'Uncategorized'] }] }
+      }
+    }
+  ]);
+  return {
+    range: rangeJson(range),
+    categories: rows.map(row => ({
+      slug: row._id, name: row.name, bookings: row.bookings, travelers: row.travelers, revenue: roundMoney(row.revenue)
+    }))
+  };
+}
+
+module.exports = { INTERVALS, rangeFromQuery, salesSummary, salesSeries, topProducts, topCategories };
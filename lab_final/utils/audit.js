@@ -0,0 +1,33 @@
+// Admin audit trail: every admin change is recorded as an AuditEvent (see /admin/audit)
+
+const AuditEvent = require('../models/AuditEvent');
+
+/**
+ * Record an admin change, after it was made.
+ * The event's changes are the diff of `before` and `after` (null when the target did not
+ * exist before / no longer exists), or the `changes` given. Writing the event never fails
+ * the request - the change already happened - but a failure is logged.
+ * 
+ * @param {Object} req - Admin request (actor and IP)
+ * @param {Object} event - { action, targetType, targetId, targetLabel, before, after, changes?, reason? }
+ * @returns {Promise<void>}
+ */
+async function recordAudit(req, { action, targetType, targetId, targetLabel, before = null, after = null, changes, reason }) {
+  try {
+    await AuditEvent.create({
+      actor: req.admin ? req.admin.email : 'admin',
+      actorId: req.admin ? req.admin._id : undefined,
+      action,
+      targetType,
+      targetId: targetId ? String(targetId) : undefined,
+      targetLabel,
+      changes: changes || AuditEvent.diff(before, after),
+      reason,
+      ip: req.ip
+    });
+  } catch (err) {
+    console.error('Audit log error', { action, targetType, targetId: String(targetId) }, err);
+  }
+}
+
+module.exports = { recordAudit };
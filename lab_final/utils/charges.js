@@ -0,0 +1,44 @@
+// Checkout taxes and fees from the rules table in config/charges.js
+
+const rules = require('../config/charges');
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isKnownCountry(country) {
+  return Object.prototype.hasOwnProperty.call(rules.countries, country);
+}
+
+// [{ code, name }] for the checkout country select, in table order
+function countryOptions() {
+  return Object.keys(rules.countries).map(code => ({ code, name: rules.countries[code].name }));
+}
+
+function chargeAmount(charge, base, travelers) {
+  if (charge.rate != null) return base * charge.rate;
+  if (charge.perTraveler != null) return charge.perTraveler * travelers;
+  return charge.amount || 0;
+}
+
+/**
+ * Taxes and fees for an order. Fees are worked out on the subtotal first;
+ * taxes are then charged on the subtotal plus fees. Every amount is rounded
+ * to cents so the stored order adds up exactly.
+ * @param {number} subtotal - Sum of the priced cart lines
+ * @param {number} travelers - Seats on the order (for per-traveler fees)
+ * @param {string} [country] - Checkout country; blank or unknown = defaultCharges
+ * @returns {Object} { charges: [{ code, label, kind, amount }], total }
+ */
+function calculateCharges(subtotal, travelers, country) {
+  const table = isKnownCountry(country) ? rules.countries[country].charges : rules.defaultCharges;
+  const fees = table.filter(c => c.kind === 'fee')
+    .map(c => ({ code: c.code, label: c.label, kind: 'fee', amount: roundMoney(chargeAmount(c, subtotal, travelers)) }));
+  const taxBase = subtotal + fees.reduce((sum, c) => sum + c.amount, 0);
+  const taxes = table.filter(c => c.kind === 'tax')
+    .map(c => ({ code: c.code, label: c.label, kind: 'tax', amount: roundMoney(chargeAmount(c, taxBase, travelers)) }));
+  const charges = fees.concat(taxes);
+  return { charges, total: roundMoney(taxBase + taxes.reduce((sum, c) => sum + c.amount, 0)) };
+}
+
+module.exports = { calculateCharges, countryOptions, isKnownCountry, roundMoney };
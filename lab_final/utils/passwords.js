@@ -0,0 +1,37 @@
+// Password hashing with scrypt (built into Node, no native module to install).
+// Stored format: scrypt$<N>$<salt hex>$<hash hex>, so the cost can be raised later
+// without breaking existing hashes.
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+const COST = 16384;
+const KEY_LENGTH = 64;
+const MIN_LENGTH = 8;
+
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH, { N: COST });
+  return `scrypt$${COST}$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, cost, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(String(password), Buffer.from(salt, 'hex'), expected.length, { N: Number(cost) });
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// Problem with a new password, or null when it is acceptable
+function passwordProblem(password) {
+  if (typeof password !== 'string' || password.length < MIN_LENGTH) {
+    return `Password must be at least ${MIN_LENGTH} characters`;
+  }
+  if (password.length > 200) return 'Password is too long';
+  return null;
+}
+
+module.exports = { hashPassword, verifyPassword, passwordProblem };
@@ -0,0 +1,13 @@
+// Turn a display name into a URL-safe slug: "Budget Turkey!" -> "budget-turkey"
+
+function slugify(text) {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '') // strip accents (é -> e)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .slice(0, 80)
+    .replace(/^-+|-+$/g, '');
+}
+
+module.exports = slugify;
@@ -0,0 +1,22 @@
+// Random secrets for links (order access, one-time booking links). Only hashes are stored,
+// so a leaked database does not hand out working links.
+
+const crypto = require('crypto');
+
+function newToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+// Compare a token from a request with a stored hash without leaking timing
+function tokenMatches(token, hash) {
+  if (!token || !hash) return false;
+  const a = Buffer.from(hashToken(token), 'hex');
+  const b = Buffer.from(String(hash), 'hex');
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+module.exports = { newToken, hashToken, tokenMatches };
@@ -0,0 +1,80 @@
+// Multi-document writes that succeed or fail together (order placement)
+
+const mongoose = require('mongoose');
+
+// Retries of a transaction that hit a write conflict with a concurrent one
+const MAX_ATTEMPTS = 3;
+
+let supportPromise = null;
+
+/**
+ * Whether the connected server can run transactions (replica set member or mongos).
+ * A standalone mongod cannot. Checked once per process; MONGO_TRANSACTIONS=off
+ * forces the fallback, e.g. to try it out against a replica set.
+ * @returns {Promise<boolean>}
+ */
+function supportsTransactions() {
+  if (process.env.MONGO_TRANSACTIONS === 'off') return Promise.resolve(false);
+  if (!supportPromise) {
+    supportPromise = mongoose.connection.asPromise()
+      .then(connection => connection.db.admin().command({ hello: 1 }))
+      .then(hello => Boolean(hello.setName || hello.msg === 'isdbgrid'))
+      .catch(err => {
+        supportPromise = null; // ask again next time
+        throw err;
+      });
+  }
+  return supportPromise;
+}
+
+/**
+ * TRANSACTIONS WITH A STANDALONE FALLBACK
+ *
+ * Runs `work` so that its writes are all kept or all undone:
+ * - transaction mode: work runs in a MongoDB session transaction and gets the session
+ *   to pass to every write; it is committed when work resolves and aborted when it throws.
+ *   A transient write conflict with a concurrent transaction is retried while
+ *   canRetry() says so (e.g. nothing outside the database has happened yet).
+ * - fallback mode (standalone server): work runs with a null session; each write is on
+ *   its own, so work registers an undo step with onRollback() after every write, and
+ *   the steps run in reverse order when it throws.
+ * Either way, effects outside the database (payments) are the caller's to undo.
+ *
+ * @param {Function} work - async ({ session, onRollback }) => result
+ * @param {Object} [options] - { canRetry: () => boolean }
+ * @returns {Promise<*>} What work resolved with
+ */
+async function withTransaction(work, { canRetry = () => true } = {}) {
+  if (!(await supportsTransactions())) {
+    const undo = [];
+    try {
+      return await work({ session: null, onRollback: step => undo.push(step) });
+    } catch (err) {
+      for (const step of undo.reverse()) {
+        await step().catch(undoError => console.error('Rollback step error', undoError));
+      }
+      throw err;
+    }
+  }
+
+  const session = await mongoose.startSession();
+  try {
+    for (let attempt = 1; ; attempt++) {
+      session.startTransaction();
+      try {
+        // Undo steps are not needed: aborting the transaction discards the writes
+        const result = await work({ session, onRollback: () => {} });
+        await session.commitTransaction();
+        return result;
+      } catch (err) {
+        if (session.inTransaction()) await session.abortTransaction();
+        const transient = err.hasErrorLabel && err.hasErrorLabel('TransientTransactionError');
+        if (!transient || attempt >= MAX_ATTEMPTS || !canRetry()) throw err;
+      }
+    }
+  } finally {
+    await session.endSession();
+  }
+}
+
+module.exports = { withTransaction, supportsTransactions };